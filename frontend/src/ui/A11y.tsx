@@ -0,0 +1,41 @@
+import React, { useEffect, useState } from 'react'
+import axios from 'axios'
+import { API_BASE, PreviewRequest } from './api'
+
+type Issue = { level:'error'|'warning'; code:string; message:string; where:string }
+type Report = { ok:boolean; errors:number; warnings:number; issues:Issue[] }
+
+// Accessibility audit of the previewed output, shown above the preview
+export default function A11y({ request }: { request: PreviewRequest | null }){
+  const [report, setReport] = useState<Report | null>(null)
+
+  useEffect(() => {
+    const run = setTimeout(() => {
+      if (!request) return setReport(null)
+      axios.post(`${API_BASE}/api/a11y`, request)
+        .then(r => setReport(r.data))
+        .catch(() => {}) // preview shows render errors; keep the last report
+    }, 600)
+    return () => clearTimeout(run)
+  }, [request])
+
+  if (!report) return null
+
+  return (
+    <details className="compat">
+      <summary>
+        Accessibility: <span className={report.errors ? 'compat-size error' : ''}>{report.errors} error(s)</span>, {report.warnings} warning(s)
+      </summary>
+      {report.issues.length === 0 ? <p className="small">No problems found.</p> : (
+        <ul className="a11y">
+          {report.issues.map((i, n) => (
+            <li key={n} className={i.level}>
+              <strong>{i.level === 'error' ? 'Error' : 'Warning'}</strong> {i.message}
+              <span className="small"> (<code>{i.where}</code>)</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </details>
+  )
+}
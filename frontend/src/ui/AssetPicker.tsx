@@ -0,0 +1,56 @@
+import React, { useState } from 'react'
+import axios from 'axios'
+import { API_BASE } from './api'
+
+export type Asset = { name:string; url:string; type:string|null; width:number|null; height:number|null; bytes:number; modified:string }
+
+type Props = {
+  images: Asset[]
+  value: string
+  onPick: (url:string) => void
+  onUploaded: (image:Asset) => void
+}
+
+function kb(bytes:number){
+  return `${Math.round(bytes / 1024)} KB`
+}
+
+// Browse the image library (public/images) or upload a new image for a url field
+export default function AssetPicker({ images, value, onPick, onUploaded }: Props){
+  const [open, setOpen] = useState<boolean>(false)
+  const [uploading, setUploading] = useState<boolean>(false)
+
+  function upload(file:File){
+    setUploading(true)
+    axios.post(`${API_BASE}/api/assets`, file, { params: { name: file.name }, headers: { 'Content-Type': file.type || 'application/octet-stream' } })
+      .then(r => { onUploaded(r.data); onPick(r.data.url); setOpen(false) })
+      .catch(e => alert('Upload failed: '+(e.response?.data?.error || e)))
+      .finally(() => setUploading(false))
+  }
+
+  if (!open) return <button className="asset-browse" onClick={() => setOpen(true)}>Browse images…</button>
+
+  return (
+    <div className="asset-picker">
+      <div className="row">
+        <label className="asset-upload">
+          {uploading ? 'Uploading…' : 'Upload image'}
+          <input type="file" accept="image/png,image/jpeg,image/gif" disabled={uploading}
+            onChange={e => { const file = e.target.files?.[0]; if (file) upload(file); e.target.value = '' }} />
+        </label>
+        <button onClick={() => setOpen(false)}>Close</button>
+      </div>
+      <ul>
+        {images.map(image => (
+          <li key={image.name} className={image.url === value ? 'active' : ''} onClick={() => { onPick(image.url); setOpen(false) }}>
+            <img src={image.url} alt="" />
+            <div>
+              <div>{image.name}</div>
+              <div className="small">{image.width ?? '?'}×{image.height ?? '?'} · {kb(image.bytes)}</div>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
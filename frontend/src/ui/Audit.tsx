@@ -0,0 +1,68 @@
+import React, { useEffect, useState } from 'react'
+import axios from 'axios'
+import { API_BASE } from './api'
+
+type Change = { key:string; change:'added'|'removed'|'changed'; before?:any; after?:any }
+type Entry = { at:string; actor:string; action:string; target:{ type:string; venue?:string; template?:string; asset?:string; group?:string; previousVenue?:string }; changes:Change[]; note?:string }
+
+function show(value:any){
+  if (value === undefined) return '—'
+  return typeof value === 'string' ? value : JSON.stringify(value)
+}
+
+// Who changed what: audit entries for the current venue (or all venues)
+export default function Audit({ venue, refreshKey }: { venue:string; refreshKey:number }){
+  const [open, setOpen] = useState(false)
+  const [allVenues, setAllVenues] = useState(false)
+  const [user, setUser] = useState('')
+  const [from, setFrom] = useState('')
+  const [to, setTo] = useState('')
+  const [entries, setEntries] = useState<Entry[]>([])
+
+  useEffect(() => {
+    if (!open) return
+    const params: Record<string, string> = {}
+    if (!allVenues && venue) params.venue = venue
+    if (user) params.user = user
+    if (from) params.from = from
+    if (to) params.to = to
+    axios.get(`${API_BASE}/api/audit`, { params }).then(r => setEntries(r.data.entries || []))
+  }, [open, venue, allVenues, user, from, to, refreshKey])
+
+  return (
+    <details className="panel" open={open} onToggle={e => setOpen((e.target as HTMLDetailsElement).open)}>
+      <summary><h4>Audit log</h4></summary>
+      <div className="audit-filters">
+        <label className="small"><input type="checkbox" checked={allVenues} onChange={e => setAllVenues(e.target.checked)} /> All venues</label>
+        <input placeholder="User" value={user} onChange={e => setUser(e.target.value)} />
+        <input type="date" value={from} onChange={e => setFrom(e.target.value)} title="From" />
+        <input type="date" value={to} onChange={e => setTo(e.target.value)} title="To" />
+      </div>
+      {entries.length === 0 && <p className="small">No matching entries.</p>}
+      <ul className="audit">
+        {entries.map((entry, i) => (
+          <li key={i}>
+            <div><strong>{entry.actor}</strong> {entry.action} <code>{entry.target.venue || entry.target.template || entry.target.asset || (entry.target.type === 'brand' ? entry.target.group ? `${entry.target.group} group` : 'brand defaults' : null)}</code></div>
+            <div className="small">{new Date(entry.at).toLocaleString()}{entry.note ? ` – ${entry.note}` : ''}</div>
+            {entry.changes.length > 0 && (
+              <details className="diff">
+                <summary className="small">{entry.changes.length} field(s) changed</summary>
+                <table>
+                  <tbody>
+                    {entry.changes.map(c => (
+                      <tr key={c.key}>
+                        <td><code>{c.key}</code></td>
+                        <td className="before">{show(c.before)}</td>
+                        <td className="after">{show(c.after)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </details>
+            )}
+          </li>
+        ))}
+      </ul>
+    </details>
+  )
+}
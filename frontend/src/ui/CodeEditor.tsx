@@ -0,0 +1,72 @@
+import React, { useMemo } from 'react'
+
+type Language = 'handlebars' | 'json'
+
+type Props = {
+  value: string
+  language: Language
+  errorLines?: number[]
+  onChange: (value:string) => void
+}
+
+// Token patterns; each capture group maps to a CSS class in index.html
+const PATTERNS: Record<Language, { regex: RegExp; classes: string[] }> = {
+  handlebars: {
+    regex: /(\{\{!--[\s\S]*?--\}\}|\{\{![\s\S]*?\}\}|<!--[\s\S]*?-->)|(\{\{[\s\S]*?\}\})|(<\/?[A-Za-z][\w:-]*|\/?>)|("[^"\n]*")|(\[[A-Z][A-Z0-9_]*\])/g,
+    classes: ['hl-comment', 'hl-mustache', 'hl-tag', 'hl-string', 'hl-placeholder']
+  },
+  json: {
+    regex: /("(?:[^"\\\n]|\\.)*"(?=\s*:))|("(?:[^"\\\n]|\\.)*")|(\b(?:true|false|null)\b|-?\d+(?:\.\d+)?)/g,
+    classes: ['hl-key', 'hl-string', 'hl-literal']
+  }
+}
+
+function escapeHtml(text:string){
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+}
+
+function highlight(text:string, language:Language){
+  const { regex, classes } = PATTERNS[language]
+  let out = ''
+  let last = 0
+  for (const match of text.matchAll(regex)) {
+    const group = match.slice(1).findIndex(g => g !== undefined)
+    out += escapeHtml(text.slice(last, match.index)) + `<span class="${classes[group]}">${escapeHtml(match[0])}</span>`
+    last = match.index! + match[0].length
+  }
+  return out + escapeHtml(text.slice(last))
+}
+
+// Plain textarea laid over a highlighted copy of its text, with a line-number
+// gutter. Both share one scroll container, so they never drift apart.
+export default function CodeEditor({ value, language, errorLines = [], onChange }: Props){
+  const highlighted = useMemo(() => highlight(value, language), [value, language])
+  const lineCount = value.split('\n').length
+
+  return (
+    <div className="code-editor">
+      <div className="code-gutter" aria-hidden>
+        {Array.from({ length: lineCount }, (_, i) => (
+          <div key={i} className={errorLines.includes(i + 1) ? 'error' : ''}>{i + 1}</div>
+        ))}
+      </div>
+      <div className="code-body">
+        <pre aria-hidden dangerouslySetInnerHTML={{ __html: highlighted + '\n' }} />
+        <textarea
+          value={value}
+          spellCheck={false}
+          wrap="off"
+          onChange={e => onChange(e.target.value)}
+          onKeyDown={e => {
+            if (e.key !== 'Tab') return
+            e.preventDefault()
+            const el = e.currentTarget
+            const { selectionStart, selectionEnd } = el
+            onChange(value.slice(0, selectionStart) + '  ' + value.slice(selectionEnd))
+            requestAnimationFrame(() => el.setSelectionRange(selectionStart + 2, selectionStart + 2))
+          }}
+        />
+      </div>
+    </div>
+  )
+}
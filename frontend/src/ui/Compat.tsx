@@ -0,0 +1,81 @@
+import React, { useEffect, useState } from 'react'
+import axios from 'axios'
+import { API_BASE, PreviewRequest } from './api'
+
+type Issue = { level:'warning'|'info'; feature:string; label:string; client:string; clientName:string; support:'no'|'partial'; count:number; where:string[]; note:string|null }
+type ImageIssue = { level:'warning'; code:string; url:string; message:string }
+type Report = {
+  size: { bytes:number; limit:number; level:'ok'|'warning'|'error' }
+  issues: Issue[]
+  clients: Record<string, { name:string; warnings:number; info:number }>
+  images: ImageIssue[]
+}
+
+function kb(bytes:number){
+  return `${(bytes / 1024).toFixed(1)} KB`
+}
+
+// Email client compatibility of the previewed output, shown above the preview
+export default function Compat({ request }: { request: PreviewRequest | null }){
+  const [report, setReport] = useState<Report | null>(null)
+
+  useEffect(() => {
+    const run = setTimeout(() => {
+      if (!request) return setReport(null)
+      axios.post(`${API_BASE}/api/compat`, request)
+        .then(r => setReport(r.data))
+        .catch(() => {}) // preview shows render errors; keep the last report
+    }, 600)
+    return () => clearTimeout(run)
+  }, [request])
+
+  if (!report) return null
+  const warnings = report.issues.filter(i => i.level === 'warning').length
+  const clientIds = Object.keys(report.clients)
+
+  return (
+    <details className="compat">
+      <summary>
+        Client compatibility: {warnings} unsupported, {report.issues.length - warnings} partial
+        {' · '}
+        <span className={'compat-size ' + report.size.level}>
+          {kb(report.size.bytes)} of Gmail's {kb(report.size.limit)} clipping limit
+        </span>
+        {report.images.length > 0 && <span className="compat-size warning"> · {report.images.length} image URL(s) will not load</span>}
+      </summary>
+      {report.size.level !== 'ok' && (
+        <p className="field-error">
+          {report.size.level === 'error' ? 'Gmail will clip this email' : 'Close to the size where Gmail clips this email'}
+          {' '}and hide the rest behind "View entire message".
+        </p>
+      )}
+      {report.images.length > 0 && (
+        <div className="compat-client">
+          <strong>Image URLs</strong>
+          <ul>
+            {report.images.map(i => <li key={i.url} className={i.level}>{i.message}</li>)}
+          </ul>
+        </div>
+      )}
+      {clientIds.map(client => {
+        const issues = report.issues.filter(i => i.client === client)
+        return (
+          <div key={client} className="compat-client">
+            <strong>{report.clients[client].name}</strong>
+            {issues.length === 0 ? <span className="small"> – no known problems</span> : (
+              <ul>
+                {issues.map(i => (
+                  <li key={i.feature} className={i.level}>
+                    <code>{i.label}</code> {i.support === 'no' ? 'not supported' : 'partly supported'}
+                    <span className="small"> ({i.count}× in {i.where.join(', ')})</span>
+                    {i.note && <div className="small">{i.note}</div>}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )
+      })}
+    </details>
+  )
+}
@@ -0,0 +1,58 @@
+import React from 'react'
+import axios from 'axios'
+import { API_BASE, User } from './api'
+
+type Change = { key:string; change:'added'|'removed'|'changed' }
+// Draft status from GET /api/venues/:id/layers (null without a draft)
+export type DraftStatus = { savedAt:string; savedBy:string; authors:string[]; approval:{ by:string; at:string } | null; changes:Change[] }
+
+type Props = {
+  venue: string
+  user: User
+  draft: DraftStatus | null
+  approvalRequired: boolean
+  note: string
+  onChanged: () => void
+}
+
+// Whether the venue's saved draft differs from what /render serves, with
+// approve, publish and discard
+export default function Draft({ venue, user, draft, approvalRequired, note, onChanged }: Props){
+  if (!draft) return <p className="small draft-status">Published: saved changes go into a draft first.</p>
+
+  const canApprove = approvalRequired && !draft.approval && !draft.authors.includes(user.username)
+  const needsApproval = approvalRequired && !draft.approval
+
+  function run(request:Promise<unknown>, failed:string){
+    request.then(onChanged).catch(e => alert(failed+': '+(e.response?.data?.error || e)))
+  }
+
+  function publish(){
+    if (!confirm(`Publish the ${venue} draft? /render and exports will serve it from now on.`)) return
+    run(axios.post(`${API_BASE}/api/venues/${venue}/draft/publish`, note ? { note } : {}), 'Publish failed')
+  }
+
+  function discard(){
+    if (!confirm(`Discard the ${venue} draft? Its changes are lost.`)) return
+    run(axios.delete(`${API_BASE}/api/venues/${venue}/draft`), 'Discard failed')
+  }
+
+  return (
+    <div className="draft-status unpublished">
+      <div>
+        <strong>Unpublished draft</strong>: {draft.changes.length} field(s) differ from the published version
+        ({draft.changes.map(c => c.key).join(', ')}). Saved by {draft.savedBy}, {new Date(draft.savedAt).toLocaleString()}.
+      </div>
+      {approvalRequired && (
+        <div className="small">
+          {draft.approval ? `Approved by ${draft.approval.by}.` : `Needs approval by someone other than ${draft.authors.join(', ')}.`}
+        </div>
+      )}
+      <div className="row">
+        {canApprove && <button onClick={() => run(axios.post(`${API_BASE}/api/venues/${venue}/draft/approve`), 'Approve failed')}>Approve</button>}
+        <button className="primary" onClick={publish} disabled={needsApproval} title={needsApproval ? 'Needs approval first' : undefined}>Publish Draft</button>
+        <button onClick={discard}>Discard Draft</button>
+      </div>
+    </div>
+  )
+}
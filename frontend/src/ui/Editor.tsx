@@ -0,0 +1,506 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import axios from 'axios'
+import { API_BASE, PreviewRequest, User } from './api'
+import { FieldLayer, SchemaField, isTranslatable } from './Field'
+import SchemaForm from './SchemaForm'
+import Placeholders, { PlaceholderReport } from './Placeholders'
+import History from './History'
+import Publish from './Publish'
+import Draft, { DraftStatus } from './Draft'
+import Schedule, { ScheduleEntry } from './Schedule'
+import Audit from './Audit'
+import Compat from './Compat'
+import A11y from './A11y'
+import { Asset } from './AssetPicker'
+import TemplateEditor, { CompileError, NO_DRAFT, TemplateDraft } from './TemplateEditor'
+
+type Schema = { title:string; fields: SchemaField[] }
+type SampleProfile = { key:string; label:string }
+type ValidationError = { key:string|null; template:string|null; locale?:string; message:string }
+// GET /api/venues/:id/layers
+type Layers = { group:string|null; inherited:Record<string, any>; inheritedFrom:Record<string, 'brand'|'group'>; translated:string[] }
+const NO_LAYERS: Layers = { group: null, inherited: {}, inheritedFrom: {}, translated: [] }
+type Locales = { default:string; locales:Record<string, string> }
+
+const TPL_DEFAULT = 'confirmation'
+
+function isEmptyValue(value:any){
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)
+}
+
+export default function Editor({ user, onLogout }: { user:User; onLogout: () => void }){
+  const [venues, setVenues] = useState<string[]>([])
+  const [templates, setTemplates] = useState<string[]>([])
+  const [venue, setVenue] = useState<string>('') // No default value
+  const [templateKey, setTemplateKey] = useState<string>(TPL_DEFAULT)
+  const [schema, setSchema] = useState<Schema | null>(null)
+  const [values, setValues] = useState<Record<string, any>>({}) // the venue's own overrides
+  const [layers, setLayers] = useState<Layers>(NO_LAYERS)
+  const [groups, setGroups] = useState<string[]>([])
+  const [locales, setLocales] = useState<Locales>({ default: 'en', locales: { en: 'English' } })
+  const [locale, setLocale] = useState<string>('en')
+  const [html, setHtml] = useState<string>('')
+  const [text, setText] = useState<string>('')
+  const [format, setFormat] = useState<'html'|'text'>('html')
+  const [errors, setErrors] = useState<ValidationError[]>([])
+  const [placeholders, setPlaceholders] = useState<PlaceholderReport | null>(null)
+  const [sampleProfiles, setSampleProfiles] = useState<SampleProfile[]>([])
+  const [sampleProfile, setSampleProfile] = useState<string>('') // '' = raw placeholders
+  const [note, setNote] = useState<string>('')
+  const [previewRevision, setPreviewRevision] = useState<string | null>(null)
+  const [historyKey, setHistoryKey] = useState<number>(0)
+  const [pendingReview, setPendingReview] = useState<string[]>([])
+  const [editingTemplate, setEditingTemplate] = useState<boolean>(false)
+  const [templateDraft, setTemplateDraft] = useState<TemplateDraft>(NO_DRAFT) // unsaved template/partial source, admins only
+  const [draftErrors, setDraftErrors] = useState<CompileError[]>([])
+  const [images, setImages] = useState<Asset[]>([])
+  const [testMail, setTestMail] = useState<{ configured:boolean; allowlist:string[] } | null>(null)
+  const [draft, setDraft] = useState<{ status:DraftStatus | null; approvalRequired:boolean }>({ status: null, approvalRequired: false })
+  const [previewAt, setPreviewAt] = useState<string>('') // venue time to preview scheduled values at, '' = now
+
+  function loadVenues(select?:string){
+    axios.get(`${API_BASE}/api/venues`).then(r => {
+      const venueList = r.data.venues || []
+      setVenues(venueList)
+      if (select !== undefined) {
+        setVenue(select || venueList[0] || '')
+      } else if (!venue && venueList.length > 0) {
+        setVenue(venueList[0]) // Set first venue as default if not set
+      }
+    })
+  }
+
+  useEffect(() => {
+    loadVenues()
+    axios.get(`${API_BASE}/api/templates`).then(r => setTemplates(r.data.templates || []))
+    axios.get(`${API_BASE}/api/placeholders`).then(r => setSampleProfiles(r.data.sampleProfiles || []))
+    axios.get(`${API_BASE}/api/assets`).then(r => setImages(r.data.images || []))
+    axios.get(`${API_BASE}/api/brand`).then(r => setGroups(Object.keys(r.data.groups || {})))
+    axios.get(`${API_BASE}/api/locales`).then(r => { setLocales(r.data); setLocale(r.data.default) })
+    axios.get(`${API_BASE}/api/send-test`).then(r => setTestMail(r.data))
+  }, [])
+
+  function loadLayers(){
+    axios.get(`${API_BASE}/api/venues/${venue}/layers`, { params: { locale, at: previewAt || undefined } }).then(r => {
+      const { overrides, draft, approvalRequired, ...rest } = r.data
+      setValues(overrides)
+      setLayers(rest)
+      setDraft({ status: draft, approvalRequired })
+    })
+  }
+
+  function loadVenue(){
+    loadLayers()
+    axios.get(`${API_BASE}/api/venues/${venue}/review`).then(r => setPendingReview(r.data.pendingReview || []))
+    setErrors([])
+  }
+
+  useEffect(() => {
+    if(!venue) return
+    setPreviewRevision(null)
+    loadVenue()
+  }, [venue])
+
+  // Inherited values differ per locale and preview time; the venue's own values do not
+  useEffect(() => {
+    if(venue) loadLayers()
+  }, [locale, previewAt])
+
+  useEffect(() => {
+    if(!templateKey) return
+    axios.get(`${API_BASE}/api/schema/`+templateKey).then(r => setSchema(r.data.schema))
+  }, [templateKey])
+
+  const translating = locale !== locales.default
+  const localeLabel = locales.locales[locale] || locale
+  const ownTranslations: Record<string, any> = (translating && values.translations?.[locale]) || {}
+
+  // What the venue renders with: inherited brand/group values under its own
+  // (the server applies the venue's translations for the preview locale)
+  const merged = useMemo(() => ({ ...layers.inherited, ...values }), [layers, values])
+  // The same as the form shows it, in the selected locale
+  const shown = useMemo(() => {
+    const { translations, ...rest } = merged
+    return { ...rest, ...ownTranslations }
+  }, [merged, locale])
+
+  function layerLabel(key:string){
+    return layers.inheritedFrom[key] === 'group' ? `the ${layers.group} group` : 'the brand defaults'
+  }
+
+  function layerOf(key:string): FieldLayer | null {
+    if (translating) {
+      if (key in ownTranslations) return { note: `Translated into ${localeLabel} for this venue.`, reset: 'Remove translation', status: 'overridden' }
+      if (!(key in values) && layers.translated.includes(key)) {
+        return { note: `${localeLabel} translation from ${layerLabel(key)}; editing it overrides it for this venue.` }
+      }
+      if (!isEmptyValue(shown[key])) return { note: `Not translated: shows the ${locales.locales[locales.default]} text until you edit it.`, status: 'untranslated' }
+      return null
+    }
+    if (!layers.inheritedFrom[key]) return null
+    if (key in values) return { note: `Overrides ${layerLabel(key)}.`, reset: 'Reset', status: 'overridden' }
+    return { note: `From ${layerLabel(key)}; editing it overrides it for this venue.` }
+  }
+
+  // Fields the form shows: in another locale, only those that take translations
+  const formFields = useMemo(() => (schema?.fields || []).filter(f => !translating || isTranslatable(f)), [schema, translating])
+  const untranslated = translating ? formFields.filter(f => layerOf(f.key)?.status === 'untranslated') : []
+
+  // Body for /api/preview and the checks that analyse the same rendered output.
+  // All merged values are sent so a field reset to its inherited value
+  // previews that way before saving.
+  const previewRequest = useMemo<PreviewRequest | null>(() => {
+    if(!venue || !templateKey) return null
+    const source = previewRevision ? { revision: previewRevision } : { overrides: merged }
+    return {
+      templateKey,
+      venueKey: venue,
+      ...source,
+      templateSource: templateDraft.source ?? undefined,
+      partials: Object.keys(templateDraft.partials).length ? templateDraft.partials : undefined,
+      sampleProfile: sampleProfile || undefined,
+      locale: translating ? locale : undefined,
+      at: previewAt || undefined
+    }
+  }, [venue, templateKey, merged, sampleProfile, previewRevision, templateDraft, locale, previewAt])
+
+  useEffect(() => {
+    const run = setTimeout(() => {
+      if(!previewRequest) return
+      const isDraft = previewRequest.templateSource !== undefined || !!previewRequest.partials
+      axios.post(`${API_BASE}/api/preview`, { ...previewRequest, format })
+        .then(r => {
+          if (format === 'text') setText(r.data.text || '')
+          else setHtml(r.data.html || '')
+          setPlaceholders(r.data.placeholders || null)
+          setDraftErrors([])
+        })
+        .catch(e => {
+          // A draft that does not compile keeps the last good preview on screen
+          if (e.response?.status === 422 && isDraft) return setDraftErrors(e.response.data.errors || [])
+          setHtml('<p style="padding:16px;font-family:Arial">Preview error.</p>'); setText('Preview error.'); setPlaceholders(null)
+        })
+    }, 250)
+    return () => clearTimeout(run)
+  }, [previewRequest, format])
+
+  function onChange(key:string, val:any){
+    if (translating) {
+      setValues(v => ({ ...v, translations: { ...v.translations, [locale]: { ...v.translations?.[locale], [key]: val } } }))
+    } else {
+      setValues(v => ({...v, [key]: val}))
+    }
+    setErrors(errs => errs.filter(e => e.key !== key || (e.locale || locales.default) !== locale))
+  }
+
+  // Drop the venue's override (or, in another locale, its translation) so
+  // the field inherits again
+  function resetField(key:string){
+    if (translating) {
+      setValues(v => {
+        const translations = { ...v.translations, [locale]: { ...v.translations?.[locale] } }
+        delete translations[locale][key]
+        if (!Object.keys(translations[locale]).length) delete translations[locale]
+        const { translations: _, ...own } = v
+        return Object.keys(translations).length ? { ...own, translations } : own
+      })
+    } else {
+      setValues(({ [key]: _, ...rest }) => rest)
+    }
+    setErrors(errs => errs.filter(e => e.key !== key || (e.locale || locales.default) !== locale))
+  }
+
+  // Schedule edits set (or, when emptied, drop) the venue's schedule and timezone
+  function setOwnValue(key:'schedule'|'timezone', val:ScheduleEntry[]|string){
+    setValues(({ [key]: _, ...rest }) => (val.length ? { ...rest, [key]: val } : rest))
+  }
+
+  function setGroup(group:string){
+    axios.put(`${API_BASE}/api/venues/${venue}/group`, { group: group || null })
+      .then(() => { loadVenue(); setHistoryKey(k => k + 1) })
+      .catch(e => alert('Changing group failed: '+apiError(e)))
+  }
+
+  function saveVenue(){
+    axios.put(`${API_BASE}/api/venues/`+venue, values, { params: note ? { note } : {} })
+      .then(r => {
+        setErrors([]); setNote(''); setHistoryKey(k => k + 1); loadVenue()
+        const sanitized: string[] = r.data.sanitized || []
+        const saved = r.data.draft ? 'Draft saved (publish it to update /render)' : 'Saved: same as the published version'
+        alert(sanitized.length ? `${saved}. Markup that is not allowed was removed from: ${sanitized.join(', ')}` : saved)
+      })
+      .catch(e => {
+        if (e.response?.status === 422) {
+          setErrors(e.response.data.errors || [])
+          alert('Save rejected: please fix the highlighted fields.')
+        } else {
+          alert('Save failed: '+e)
+        }
+      })
+  }
+
+  function markReviewed(key:string){
+    axios.post(`${API_BASE}/api/venues/${venue}/review`, { keys: [key] })
+      .then(r => setPendingReview(r.data.pendingReview || []))
+  }
+
+  function apiError(e:any){
+    return e.response?.data?.error || String(e)
+  }
+
+  function createVenue(cloneFrom?:string){
+    const key = prompt(cloneFrom ? `New venue key (cloned from ${cloneFrom})` : 'New venue key')
+    if (!key) return
+    axios.post(`${API_BASE}/api/venues`, { key, cloneFrom })
+      .then(() => loadVenues(key))
+      .catch(e => alert('Create failed: '+apiError(e)))
+  }
+
+  function renameVenue(){
+    const newKey = prompt(`Rename ${venue} to`, venue)
+    if (!newKey || newKey === venue) return
+    axios.post(`${API_BASE}/api/venues/${venue}/rename`, { newKey })
+      .then(() => loadVenues(newKey))
+      .catch(e => alert('Rename failed: '+apiError(e)))
+  }
+
+  function deleteVenue(){
+    if (!confirm(`Delete venue ${venue}? Its revision history is kept.`)) return
+    axios.delete(`${API_BASE}/api/venues/${venue}`)
+      .then(() => loadVenues(''))
+      .catch(e => alert('Delete failed: '+apiError(e)))
+  }
+
+  // Errors for the selected locale: translation errors carry their locale
+  const localeErrors = (e:ValidationError) => (e.locale || locales.default) === locale
+
+  function fieldErrors(key:string){
+    return errors.filter(e => e.key === key && localeErrors(e)).map(e => e.template ? `${e.message} (${e.template})` : e.message)
+  }
+
+  // Errors for fields the form does not show (other templates or locales)
+  const otherErrors = useMemo(() => {
+    const keys = new Set(formFields.map(f => f.key))
+    return errors.filter(e => !e.key || !keys.has(e.key) || !localeErrors(e))
+  }, [errors, formFields, locale])
+
+  const isAdmin = user.role === 'admin'
+  const hasDraft = templateDraft.source !== null || Object.keys(templateDraft.partials).length > 0
+
+  // /render needs a login, so export through a short-lived signed link
+  function exportRender(exportFormat:'html'|'text'){
+    const win = window.open('', '_blank')
+    axios.post(`${API_BASE}/api/render-links`, { templateKey, venue })
+      .then(r => {
+        const extra = (exportFormat === 'text' ? '&format=text' : '') + (translating ? `&locale=${locale}` : '')
+        if (win) win.location.href = API_BASE + r.data.url + extra
+      })
+      .catch(e => { win?.close(); alert('Export failed: '+apiError(e)) })
+  }
+
+  // Send what the preview shows (unsaved edits and sample booking included) to
+  // allowlisted addresses, to check it in real mail clients
+  function sendTest(){
+    if (!previewRequest || !testMail) return
+    const last = localStorage.getItem('testRecipients') || ''
+    const recipients = prompt(`Send a test email to (comma-separated; allowed: ${testMail.allowlist.join(', ')})`, last)
+    if (!recipients) return
+    localStorage.setItem('testRecipients', recipients)
+    axios.post(`${API_BASE}/api/send-test`, { ...previewRequest, recipients: recipients.split(',') })
+      .then(r => alert(['Test email sent to '+r.data.to.join(', '), ...r.data.warnings].join('\n')))
+      .catch(e => alert('Send failed: '+apiError(e)))
+  }
+
+  // Every venue and template this user can export, as a release bundle ZIP
+  function exportBundle(){
+    axios.post(`${API_BASE}/api/exports`, { locales: [locale], text: true }, { responseType: 'blob' })
+      .then(r => {
+        const name = /filename="([^"]+)"/.exec(r.headers['content-disposition'] || '')?.[1] || 'email-bundle.zip'
+        const link = document.createElement('a')
+        link.href = URL.createObjectURL(r.data)
+        link.download = name
+        link.click()
+        URL.revokeObjectURL(link.href)
+      })
+      .catch(async e => {
+        // with responseType blob the JSON error body arrives as a Blob too
+        const body = e.response?.data
+        const message = body instanceof Blob ? await body.text().then(t => JSON.parse(t).error).catch(() => null) : null
+        alert('Export failed: '+(message || apiError(e)))
+      })
+  }
+
+  return (
+    <div className="container">
+      <div className="sidebar">
+        <div className="userbar small">
+          Signed in as <strong>{user.username}</strong> ({user.role})
+          <button onClick={onLogout}>Sign out</button>
+        </div>
+
+        <div className="field">
+          <label>Venue</label>
+          <select value={venue} onChange={e => setVenue(e.target.value)}>
+            {venues.map(v => <option key={v} value={v}>{v}</option>)}
+          </select>
+          {isAdmin && (
+            <div className="row venue-actions">
+              <button onClick={() => createVenue()}>New</button>
+              <button disabled={!venue} onClick={() => createVenue(venue)}>Clone</button>
+              <button disabled={!venue} onClick={renameVenue}>Rename</button>
+              <button disabled={!venue} onClick={deleteVenue}>Delete</button>
+            </div>
+          )}
+        </div>
+
+        {isAdmin && groups.length > 0 && (
+          <div className="field">
+            <label>Brand group</label>
+            <select value={layers.group || ''} disabled={!venue} onChange={e => setGroup(e.target.value)}>
+              <option value="">None (brand defaults only)</option>
+              {groups.map(g => <option key={g} value={g}>{g}</option>)}
+            </select>
+          </div>
+        )}
+
+        {pendingReview.length > 0 && (
+          <div className="errors review-summary">
+            {pendingReview.length} cloned field(s) need review before this venue can be exported: {pendingReview.join(', ')}
+          </div>
+        )}
+
+        <div className="field">
+          <label>Template</label>
+          <select value={templateKey} onChange={e => {
+            if (hasDraft && !confirm('Discard unsaved template changes?')) return
+            setTemplateKey(e.target.value)
+          }}>
+            {templates.map(t => <option key={t} value={t}>{t}</option>)}
+          </select>
+          {isAdmin && (
+            <div className="row venue-actions">
+              <button onClick={() => {
+                if (editingTemplate && hasDraft && !confirm('Discard unsaved template changes?')) return
+                setEditingTemplate(v => !v)
+              }}>{editingTemplate ? 'Close template editor' : 'Edit template & schema'}</button>
+            </div>
+          )}
+        </div>
+
+        {Object.keys(locales.locales).length > 1 && (
+          <div className="field">
+            <label>Language</label>
+            <select value={locale} onChange={e => setLocale(e.target.value)}>
+              {Object.entries(locales.locales).map(([code, label]) => (
+                <option key={code} value={code}>{label}{code === locales.default ? ' (default)' : ''}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {untranslated.length > 0 && (
+          <div className="errors review-summary">
+            {untranslated.length} field(s) not translated into {localeLabel}: {untranslated.map(f => f.label).join(', ')}
+          </div>
+        )}
+
+        <div className="field">
+          <label>Preview booking data</label>
+          <select value={sampleProfile} onChange={e => setSampleProfile(e.target.value)}>
+            <option value="">Raw placeholders ([FULLNAME], …)</option>
+            {sampleProfiles.map(p => <option key={p.key} value={p.key}>Sample: {p.label}</option>)}
+          </select>
+        </div>
+
+        <div className="field">
+          <label>Preview at (venue time)</label>
+          <div className="row">
+            <input type="datetime-local" value={previewAt} onChange={e => setPreviewAt(e.target.value)} />
+            <button disabled={!previewAt} onClick={() => setPreviewAt('')}>Now</button>
+          </div>
+        </div>
+
+        {schema && (
+          <SchemaForm fields={formFields} values={shown} fieldErrors={fieldErrors} pendingReview={pendingReview}
+            layerOf={layerOf} onReset={resetField}
+            images={images} onImageUploaded={image => setImages(list => [...list.filter(i => i.name !== image.name), image].sort((a, b) => a.name.localeCompare(b.name)))}
+            onReviewed={markReviewed} onChange={onChange} />
+        )}
+
+        {otherErrors.length > 0 && (
+          <div className="errors">
+            <strong>Other fields need attention:</strong>
+            <ul>
+              {otherErrors.map((e, i) => <li key={i}>{e.key ? <code>{e.key}</code> : null} {e.message}{e.template ? ` (${e.template})` : ''}{e.locale ? ` [${e.locale}]` : ''}</li>)}
+            </ul>
+          </div>
+        )}
+
+        <div className="field">
+          <input placeholder="Note (optional)" value={note} onChange={e => setNote(e.target.value)} />
+        </div>
+        <div className="actions">
+          <button className="primary" onClick={saveVenue}>Save Draft</button>
+          <button onClick={() => exportRender('html')} disabled={!venue}>Export Final HTML</button>
+          <button onClick={() => exportRender('text')} disabled={!venue}>Export Plain Text</button>
+          <button onClick={exportBundle} disabled={!venues.length}>Export All (ZIP)</button>
+          <button onClick={sendTest} disabled={!previewRequest || !testMail?.configured}
+            title={testMail?.configured ? undefined : 'Set SMTP_HOST and TEST_EMAIL_ALLOWLIST on the server to send test emails'}>Send Test Email</button>
+        </div>
+        <p className="small">Changes are auto-previewed; Save Draft keeps them without publishing. Exports serve the published version.</p>
+
+        {venue && (
+          <Draft venue={venue} user={user} draft={draft.status} approvalRequired={draft.approvalRequired} note={note}
+            onChanged={() => { setNote(''); setHistoryKey(k => k + 1); loadVenue() }} />
+        )}
+
+        <Schedule venue={venue} fields={schema?.fields || []} schedule={values.schedule || []} timezone={values.timezone || ''}
+          refreshKey={historyKey} onChange={s => setOwnValue('schedule', s)} onTimezoneChange={tz => setOwnValue('timezone', tz)}
+          onPreviewAt={setPreviewAt} />
+
+        <Placeholders report={placeholders} />
+
+        <Publish venue={venue} locale={locale} refreshKey={historyKey} />
+
+        <History
+          venue={venue}
+          refreshKey={historyKey}
+          previewing={previewRevision}
+          onPreview={setPreviewRevision}
+          onRestored={() => { loadVenue(); setHistoryKey(k => k + 1) }}
+        />
+
+        <Audit venue={venue} refreshKey={historyKey} />
+      </div>
+      <div className="preview">
+        {isAdmin && editingTemplate && (
+          <TemplateEditor
+            templateKey={templateKey}
+            previewErrors={draftErrors}
+            onDraftChange={setTemplateDraft}
+            onSchemaSaved={setSchema}
+          />
+        )}
+        {previewRevision && (
+          <div className="banner">
+            Previewing revision {previewRevision}. <button onClick={() => setPreviewRevision(null)}>Back to current</button>
+          </div>
+        )}
+        {previewAt && (
+          <div className="banner">
+            Previewing scheduled values as of {previewAt.replace('T', ' ')} (venue time). <button onClick={() => setPreviewAt('')}>Back to now</button>
+          </div>
+        )}
+        <div className="row preview-tabs">
+          <button className={format === 'html' ? 'active' : ''} onClick={() => setFormat('html')}>HTML</button>
+          <button className={format === 'text' ? 'active' : ''} onClick={() => setFormat('text')}>Plain text</button>
+        </div>
+        <Compat request={previewRequest} />
+        <A11y request={previewRequest} />
+        {format === 'html'
+          ? <iframe title="preview" sandbox="" srcDoc={html} />
+          : <pre className="text-preview">{text}</pre>}
+      </div>
+    </div>
+  )
+}
@@ -1,21 +1,146 @@
-import React from 'react'
+import React, { useRef } from 'react'
+import AssetPicker, { Asset } from './AssetPicker'
+
+export type FieldType = 'text'|'textarea'|'html'|'url'|'image'|'tel'|'email'|'color'|'boolean'|'select'|'list'
+export type SchemaField = {
+  key:string
+  label:string
+  type:FieldType
+  required?:boolean
+  help?:string
+  placeholder?:string
+  group?:string // section in the venue form
+  showIf?:string // "key" or "!key": shown only while that field is (not) set
+  options?: (string | { value:string; label?:string })[] // select fields
+  imageWidth?:number // image fields shown at a fixed width
+  itemFields?:SchemaField[] // list fields
+  itemLabel?:string
+  translatable?:boolean // per-locale values; defaults to true for text-like fields and lists
+}
+
+// Same rule as isTranslatable in lib/validation.js
+export function isTranslatable(field:SchemaField){
+  return field.translatable ?? ['text', 'textarea', 'html', 'list'].includes(field.type)
+}
+
+// Note under a field's label on where its value comes from (a brand layer, a
+// translation); `reset` labels the button that drops the venue's own value
+export type FieldLayer = { note:string; reset?:string; status?:'overridden'|'untranslated' }
 
 type Props = {
-  field: { key:string; label:string; type:'text'|'textarea'|'url'|'color'; required?:boolean }
+  field: SchemaField
   value: any
+  errors?: string[]
+  needsReview?: boolean
+  layer?: FieldLayer | null
+  onReset?: (key:string) => void
+  images?: Asset[] // image library, for the picker on image fields
+  onImageUploaded?: (image:Asset) => void
+  onReviewed?: (key:string) => void
   onChange: (key:string, val:any) => void
 }
 
-export default function Field({ field, value, onChange }: Props){
+export function LayerNote({ layer, onReset }: { layer:FieldLayer; onReset?: () => void }){
+  return (
+    <div className={'field-layer' + (layer.status ? ' '+layer.status : '')}>
+      {layer.note}
+      {layer.reset && onReset && <button onClick={onReset}>{layer.reset}</button>}
+    </div>
+  )
+}
+
+const INPUT_TYPES: Partial<Record<FieldType, string>> = { url: 'url', tel: 'tel', email: 'email', color: 'color' }
+
+// Textarea for html fields with buttons for the markup the server keeps
+// (see lib/sanitize.js); anything else is stripped when the venue is saved.
+function HtmlInput({ id, value, placeholder, invalid, onChange }: { id:string; value:string; placeholder?:string; invalid:boolean; onChange:(val:string) => void }){
+  const ref = useRef<HTMLTextAreaElement>(null)
+
+  function wrap(before:string, after = ''){
+    const el = ref.current
+    if (!el) return
+    const { selectionStart: start, selectionEnd: end } = el
+    onChange(value.slice(0, start) + before + value.slice(start, end) + after + value.slice(end))
+    requestAnimationFrame(() => {
+      el.focus()
+      el.setSelectionRange(start + before.length, end + before.length)
+    })
+  }
+
+  function link(){
+    const href = prompt('Link to (https://, mailto: or tel:)')
+    if (href) wrap(`<a href="${href.replace(/"/g, '&quot;')}">`, '</a>')
+  }
+
+  return (
+    <div className="html-input">
+      <div className="html-toolbar">
+        <button type="button" title="Bold" onClick={() => wrap('<strong>', '</strong>')}><strong>B</strong></button>
+        <button type="button" title="Italic" onClick={() => wrap('<em>', '</em>')}><em>I</em></button>
+        <button type="button" title="Link" onClick={link}>Link</button>
+        <button type="button" title="Line break" onClick={() => wrap('<br>\n')}>↵</button>
+      </div>
+      <textarea id={id} ref={ref} rows={4} value={value} placeholder={placeholder} aria-invalid={invalid} onChange={e => onChange(e.target.value)} />
+    </div>
+  )
+}
+
+export default function Field({ field, value, errors, needsReview, layer, onReset, images, onImageUploaded, onReviewed, onChange }: Props){
   const id = 'f_'+field.key
+  const invalid = !!errors && errors.length > 0
+  const classes = ['field', invalid ? 'invalid' : '', needsReview ? 'review' : ''].filter(Boolean).join(' ')
+  const image = field.type === 'image' ? images?.find(i => i.url === value) : undefined
+  const wrongWidth = field.imageWidth && image?.width && image.width !== field.imageWidth
+  const set = (val:any) => onChange(field.key, val)
+
+  let input: React.ReactNode
+  switch (field.type) {
+    case 'textarea':
+      input = <textarea id={id} rows={3} value={value || ''} placeholder={field.placeholder} aria-invalid={invalid} onChange={e => set(e.target.value)} />
+      break
+    case 'html':
+      input = <HtmlInput id={id} value={value || ''} placeholder={field.placeholder} invalid={invalid} onChange={set} />
+      break
+    case 'boolean':
+      input = <input id={id} type="checkbox" checked={value === true} aria-invalid={invalid} onChange={e => set(e.target.checked)} />
+      break
+    case 'select':
+      input = (
+        <select id={id} value={value || ''} aria-invalid={invalid} onChange={e => set(e.target.value)}>
+          <option value="">{field.placeholder || '—'}</option>
+          {(field.options || []).map(o => {
+            const option = typeof o === 'string' ? { value: o, label: o } : o
+            return <option key={option.value} value={option.value}>{option.label || option.value}</option>
+          })}
+        </select>
+      )
+      break
+    default:
+      input = <input id={id} type={INPUT_TYPES[field.type] || 'text'} value={value || ''} placeholder={field.placeholder} aria-invalid={invalid} onChange={e => set(e.target.value)} />
+  }
+
   return (
-    <div className="field">
+    <div className={classes + (field.type === 'boolean' ? ' checkbox' : '')}>
       <label htmlFor={id}>{field.label}{field.required ? ' *' : ''}</label>
-      {field.type === 'textarea' ? (
-        <textarea id={id} rows={3} value={value || ''} onChange={e => onChange(field.key, e.target.value)} />
-      ) : (
-        <input id={id} type={field.type === 'url' ? 'url' : (field.type === 'color' ? 'color' : 'text')} value={value || ''} onChange={e => onChange(field.key, e.target.value)} />
+      {field.help && <div className="field-help">{field.help}</div>}
+      {layer && <LayerNote layer={layer} onReset={onReset && (() => onReset(field.key))} />}
+      {input}
+      {field.type === 'image' && (
+        <div className="image-field">
+          {value && <img className="image-thumb" src={value} alt="" />}
+          {images && <AssetPicker images={images} value={value || ''} onPick={set} onUploaded={image => onImageUploaded?.(image)} />}
+        </div>
+      )}
+      {wrongWidth && (
+        <div className="field-warning">This image is {image!.width}px wide; the templates show it at {field.imageWidth}px, so it will be stretched or squashed.</div>
+      )}
+      {needsReview && (
+        <div className="field-review">
+          Copied from the cloned venue – check it is right for this venue.
+          {onReviewed && <button onClick={() => onReviewed(field.key)}>Looks right</button>}
+        </div>
       )}
+      {invalid && errors!.map((msg, i) => <div key={i} className="field-error">{msg}</div>)}
     </div>
   )
 }
@@ -0,0 +1,81 @@
+import React, { useEffect, useState } from 'react'
+import axios from 'axios'
+import { API_BASE } from './api'
+
+type Revision = { id:string; savedAt:string; note:string }
+type Change = { key:string; change:'added'|'removed'|'changed'; before?:any; after?:any }
+
+type Props = {
+  venue: string
+  refreshKey: number
+  previewing: string | null
+  onPreview: (revision:string | null) => void
+  onRestored: () => void
+}
+
+function show(value:any){
+  if (value === undefined) return '—'
+  return typeof value === 'string' ? value : JSON.stringify(value)
+}
+
+// Revision list for the current venue: preview, diff against live, restore
+export default function History({ venue, refreshKey, previewing, onPreview, onRestored }: Props){
+  const [revisions, setRevisions] = useState<Revision[]>([])
+  const [diff, setDiff] = useState<{ id:string; changes:Change[] } | null>(null)
+
+  useEffect(() => {
+    if(!venue) return
+    setDiff(null)
+    axios.get(`${API_BASE}/api/venues/${venue}/revisions`).then(r => setRevisions(r.data.revisions || []))
+  }, [venue, refreshKey])
+
+  function showDiff(id:string){
+    axios.get(`${API_BASE}/api/venues/${venue}/diff`, { params: { from: id, to: 'current' } })
+      .then(r => setDiff({ id, changes: r.data.changes || [] }))
+  }
+
+  function restore(id:string){
+    if (!confirm(`Restore revision ${id} of ${venue} as its draft? Publish the draft to make it live.`)) return
+    axios.post(`${API_BASE}/api/venues/${venue}/revisions/${id}/restore`, {})
+      .then(() => { onPreview(null); onRestored() })
+      .catch(e => alert('Restore failed: '+(e.response?.data?.error || e)))
+  }
+
+  return (
+    <div className="panel">
+      <h4>History</h4>
+      {revisions.length === 0 && <p className="small">No saved revisions yet.</p>}
+      <ul className="revisions">
+        {revisions.map(r => (
+          <li key={r.id} className={previewing === r.id ? 'active' : ''}>
+            <div>{new Date(r.savedAt).toLocaleString()}</div>
+            {r.note && <div className="small">{r.note}</div>}
+            <div className="row">
+              <button onClick={() => onPreview(previewing === r.id ? null : r.id)}>{previewing === r.id ? 'Back to current' : 'Preview'}</button>
+              <button onClick={() => showDiff(r.id)}>Diff</button>
+              <button onClick={() => restore(r.id)}>Restore</button>
+            </div>
+          </li>
+        ))}
+      </ul>
+      {diff && (
+        <div className="diff">
+          <strong>Changes since {diff.id}</strong>
+          {diff.changes.length === 0 ? <p className="small">Identical to the live version.</p> : (
+            <table>
+              <tbody>
+                {diff.changes.map(c => (
+                  <tr key={c.key}>
+                    <td><code>{c.key}</code> <span className="small">({c.change})</span></td>
+                    <td className="before">{show(c.before)}</td>
+                    <td className="after">{show(c.after)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,35 @@
+import React, { useState } from 'react'
+import axios from 'axios'
+import { API_BASE, User, setToken } from './api'
+
+export default function Login({ onLogin }: { onLogin: (user:User) => void }){
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState('')
+
+  function submit(e:React.FormEvent){
+    e.preventDefault()
+    setError('')
+    axios.post(`${API_BASE}/api/auth/login`, { username, password })
+      .then(r => { setToken(r.data.token); onLogin(r.data.user) })
+      .catch(err => setError(err.response?.data?.error || 'Login failed'))
+  }
+
+  return (
+    <form className="login" onSubmit={submit}>
+      <h3>Sign in</h3>
+      <div className="field">
+        <label htmlFor="login_user">Username</label>
+        <input id="login_user" autoComplete="username" value={username} onChange={e => setUsername(e.target.value)} />
+      </div>
+      <div className="field">
+        <label htmlFor="login_pass">Password</label>
+        <input id="login_pass" type="password" autoComplete="current-password" value={password} onChange={e => setPassword(e.target.value)} />
+      </div>
+      {error && <div className="field-error">{error}</div>}
+      <div className="actions">
+        <button className="primary" type="submit" disabled={!username || !password}>Sign in</button>
+      </div>
+    </form>
+  )
+}
@@ -0,0 +1,31 @@
+import React from 'react'
+
+export type PlaceholderUse = { token:string; description?:string; sample?:string; count:number }
+export type PlaceholderIssue = { level:'error'|'warning'; code:string; token:string|null; line:number|null; message:string }
+export type PlaceholderReport = { used: PlaceholderUse[]; issues: PlaceholderIssue[] }
+
+// Lists the [PLACEHOLDERS] the booking system will fill in for the current template
+export default function Placeholders({ report }: { report: PlaceholderReport | null }){
+  if (!report) return null
+  return (
+    <div className="panel">
+      <h4>Booking system placeholders</h4>
+      {report.used.length === 0 ? (
+        <p className="small">This template uses no booking-system placeholders.</p>
+      ) : (
+        <ul className="placeholders">
+          {report.used.map(p => (
+            <li key={p.token}>
+              <code>[{p.token}]</code> {p.description || <em>not in registry</em>}
+            </li>
+          ))}
+        </ul>
+      )}
+      {report.issues.map((issue, i) => (
+        <div key={i} className={issue.level === 'error' ? 'field-error' : 'field-warning'}>
+          {issue.line ? `Line ${issue.line}: ` : ''}{issue.message}
+        </div>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,85 @@
+import React, { useEffect, useState } from 'react'
+import axios from 'axios'
+import { API_BASE } from './api'
+
+type Result = { template:string; locale:string; destination:string; status:'dry-run'|'published'|'failed'; warnings:string[]; attempts?:number; error?:string }
+type HistoryEntry = { at:string; actor:string; template:string; locale:string; publisher:string; destination:string; status:'published'|'failed'; attempts:number; error?:string }
+
+type Props = {
+  venue: string
+  locale: string
+  refreshKey: number
+}
+
+// Publish the venue's emails (every template, in the selected locale) to the
+// booking system through its configured publisher, and what was sent before
+export default function Publish({ venue, locale, refreshKey }: Props){
+  const [publisher, setPublisher] = useState<{ name:string|null; adapter:string|null; problem?:string }>({ name: null, adapter: null })
+  const [history, setHistory] = useState<HistoryEntry[]>([])
+  const [results, setResults] = useState<{ dryRun:boolean; results:Result[] } | null>(null)
+  const [busy, setBusy] = useState(false)
+
+  function load(){
+    axios.get(`${API_BASE}/api/venues/${venue}/publish`, { params: { limit: 10 } }).then(r => {
+      setPublisher({ name: r.data.publisher, adapter: r.data.adapter, problem: r.data.problem })
+      setHistory(r.data.history || [])
+    })
+  }
+
+  useEffect(() => {
+    if(!venue) return
+    setResults(null)
+    load()
+  }, [venue, refreshKey])
+
+  function publish(dryRun:boolean){
+    if (!dryRun && !confirm(`Publish every ${venue} email (${locale}) to ${publisher.name}? Save first: the saved venue is published.`)) return
+    setBusy(true)
+    axios.post(`${API_BASE}/api/venues/${venue}/publish`, { locales: [locale], dryRun })
+      .catch(e => {
+        // 502: every email failed, the body still lists them
+        if (e.response?.status === 502) return e.response
+        throw e
+      })
+      .then(r => { setResults(r.data); if (!dryRun) load() })
+      .catch(e => alert('Publish failed: '+(e.response?.data?.error || e)))
+      .finally(() => setBusy(false))
+  }
+
+  return (
+    <div className="panel">
+      <h4>Publish</h4>
+      {publisher.problem && <p className="field-error">{publisher.problem}</p>}
+      {!publisher.name && !publisher.problem && <p className="small">No publisher configured for this venue (data/publishers.json).</p>}
+      {publisher.name && (
+        <>
+          <p className="small">To <strong>{publisher.name}</strong> ({publisher.adapter})</p>
+          <div className="row">
+            <button onClick={() => publish(true)} disabled={busy}>Dry run</button>
+            <button className="primary" onClick={() => publish(false)} disabled={busy}>Publish</button>
+          </div>
+        </>
+      )}
+      {results && (
+        <ul className="publish-results">
+          {results.results.map(r => (
+            <li key={r.template+r.locale} className={r.status}>
+              <div><code>{r.template}/{r.locale}</code> {r.status === 'dry-run' ? 'would go to' : r.status === 'published' ? 'sent to' : 'failed:'} {r.error || r.destination}</div>
+              {r.warnings.map((w, i) => <div key={i} className="small field-warning">{w}</div>)}
+            </li>
+          ))}
+        </ul>
+      )}
+      {history.length > 0 && (
+        <ul className="publish-history small">
+          {history.map((h, i) => (
+            <li key={i} className={h.status}>
+              {new Date(h.at).toLocaleString()} <strong>{h.actor}</strong> {h.template}/{h.locale} → {h.publisher}: {h.status}
+              {h.attempts > 1 ? ` after ${h.attempts} attempts` : ''}{h.error ? ` (${h.error})` : ''}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
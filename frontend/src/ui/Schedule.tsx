@@ -0,0 +1,204 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import axios from 'axios'
+import { API_BASE } from './api'
+import Field, { SchemaField } from './Field'
+
+// One entry of a layer's `schedule` (see lib/schedule.js); times are local
+// times (YYYY-MM-DDTHH:mm) in the venue's timezone
+export type ScheduleEntry = { label?:string; start:string; end?:string; values:Record<string, any>; translations?:Record<string, Record<string, any>> }
+type InheritedEntry = ScheduleEntry & { layer:'brand'|'group'; group?:string }
+
+type Props = {
+  venue: string
+  fields: SchemaField[] // the selected template's fields, which entries can set
+  schedule: ScheduleEntry[]
+  timezone: string // the venue's own timezone, '' to inherit
+  refreshKey: number
+  onChange: (schedule:ScheduleEntry[]) => void
+  onTimezoneChange: (timezone:string) => void
+  onPreviewAt: (at:string) => void
+}
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']
+
+const pad = (n:number) => String(n).padStart(2, '0')
+
+// 2026-12-01 and 2026-12-01T09:00 compare as times once both have minutes
+function normalize(local:string){
+  return local.length === 10 ? local+'T00:00' : local
+}
+
+// Current time in `timezone` as YYYY-MM-DDTHH:mm (the sv-SE format is ISO-like)
+function nowIn(timezone:string){
+  try {
+    return new Date().toLocaleString('sv-SE', { timeZone: timezone }).replace(' ', 'T').slice(0, 16)
+  } catch {
+    return new Date().toLocaleString('sv-SE').replace(' ', 'T').slice(0, 16)
+  }
+}
+
+// Days of `month` (YYYY-MM) padded to whole weeks from Monday; null outside the month
+function monthDays(month:string){
+  const [year, m] = month.split('-').map(Number)
+  const first = new Date(Date.UTC(year, m - 1, 1)).getUTCDay()
+  const count = new Date(Date.UTC(year, m, 0)).getUTCDate()
+  const days: (string | null)[] = Array((first + 6) % 7).fill(null)
+  for (let day = 1; day <= count; day++) days.push(`${month}-${pad(day)}`)
+  while (days.length % 7) days.push(null)
+  return days
+}
+
+function shiftMonth(month:string, by:number){
+  const [year, m] = month.split('-').map(Number)
+  const date = new Date(Date.UTC(year, m - 1 + by, 1))
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}`
+}
+
+function nextDay(day:string){
+  const [year, m, d] = day.split('-').map(Number)
+  return new Date(Date.UTC(year, m - 1, d + 1)).toISOString().slice(0, 10)
+}
+
+function overlapsDay(entry:ScheduleEntry, day:string){
+  if (!entry.start) return false
+  return normalize(entry.start) < nextDay(day)+'T00:00' && (!entry.end || normalize(entry.end) > day+'T00:00')
+}
+
+function entryName(entry:ScheduleEntry){
+  return entry.label || Object.keys(entry.values).join(', ') || 'Untitled'
+}
+
+// A calendar of a venue's scheduled values (its own and those it inherits
+// from the brand and group layers) and the editor for its own entries. Edits
+// change the venue's values; Save Draft keeps them.
+export default function Schedule({ venue, fields, schedule, timezone, refreshKey, onChange, onTimezoneChange, onPreviewAt }: Props){
+  const [info, setInfo] = useState<{ timezone:string; inherited:InheritedEntry[] }>({ timezone: '', inherited: [] })
+  const [open, setOpen] = useState(false)
+  const effectiveTimezone = timezone || info.timezone
+  const now = nowIn(effectiveTimezone)
+  const [month, setMonth] = useState(now.slice(0, 7))
+
+  useEffect(() => {
+    if(!venue || !open) return
+    axios.get(`${API_BASE}/api/venues/${venue}/schedule`).then(r => setInfo(r.data))
+  }, [venue, open, refreshKey])
+
+  const all = useMemo(() => [
+    ...info.inherited.map(entry => ({ entry, from: entry.layer === 'group' ? `${entry.group} group` : 'brand' })),
+    ...schedule.map(entry => ({ entry, from: '' }))
+  ], [info, schedule])
+
+  const upcoming = all
+    .filter(({ entry }) => entry.start && (!entry.end || normalize(entry.end) > now))
+    .sort((a, b) => normalize(a.entry.start).localeCompare(normalize(b.entry.start)))
+
+  function update(index:number, entry:ScheduleEntry){
+    onChange(schedule.map((e, i) => (i === index ? entry : e)))
+  }
+
+  function setValue(index:number, key:string, value:any){
+    update(index, { ...schedule[index], values: { ...schedule[index].values, [key]: value } })
+  }
+
+  function removeValue(index:number, key:string){
+    const { [key]: _, ...values } = schedule[index].values
+    update(index, { ...schedule[index], values })
+  }
+
+  function addEntry(){
+    onChange([...schedule, { label: '', start: now.slice(0, 10)+'T00:00', values: {} }])
+  }
+
+  return (
+    <details className="panel" open={open} onToggle={e => setOpen((e.target as HTMLDetailsElement).open)}>
+      <summary><h4>Schedule</h4></summary>
+      <div className="field">
+        <label>Timezone</label>
+        <input value={timezone} placeholder={`${info.timezone} (inherited)`} onChange={e => onTimezoneChange(e.target.value.trim())} />
+        <div className="field-help">Schedule times are local times in this timezone (an IANA name such as Pacific/Auckland).</div>
+      </div>
+
+      <div className="row schedule-nav">
+        <button onClick={() => setMonth(m => shiftMonth(m, -1))}>‹</button>
+        <strong>{month}</strong>
+        <button onClick={() => setMonth(m => shiftMonth(m, 1))}>›</button>
+        <button onClick={() => setMonth(now.slice(0, 7))}>Today</button>
+      </div>
+      <div className="schedule-calendar">
+        {WEEKDAYS.map(day => <div key={day} className="weekday">{day}</div>)}
+        {monthDays(month).map((day, i) => day === null ? <div key={i} /> : (
+          <div key={day} className={'day' + (day === now.slice(0, 10) ? ' today' : '')}
+            title="Preview this day" onClick={() => onPreviewAt(day+'T12:00')}>
+            <span>{Number(day.slice(8))}</span>
+            {all.filter(({ entry }) => overlapsDay(entry, day)).map(({ entry, from }, j) => (
+              <div key={j} className={'day-entry' + (from ? ' inherited' : '')}>{entryName(entry)}</div>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      {upcoming.length > 0 && (
+        <ul className="schedule-upcoming small">
+          {upcoming.map(({ entry, from }, i) => (
+            <li key={i}>
+              {normalize(entry.start) <= now ? <strong>Active</strong> : 'From'} {entry.start.replace('T', ' ')}
+              {entry.end ? ` until ${entry.end.replace('T', ' ')}` : ''}: {entryName(entry)}{from ? ` (${from})` : ''}
+              {' '}<button onClick={() => onPreviewAt(normalize(entry.start))}>Preview</button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {schedule.map((entry, index) => {
+        const keys = Object.keys(entry.values)
+        const available = fields.filter(f => !keys.includes(f.key))
+        return (
+          <div key={index} className="list-item">
+            <div className="list-item-head">
+              <strong>Entry {index + 1}</strong>
+              <button onClick={() => onChange(schedule.filter((_, i) => i !== index))}>Remove</button>
+            </div>
+            <div className="field">
+              <label>Label</label>
+              <input value={entry.label || ''} placeholder="Summer promo" onChange={e => update(index, { ...entry, label: e.target.value })} />
+            </div>
+            <div className="schedule-times">
+              <div className="field">
+                <label>Start</label>
+                <input type="datetime-local" value={entry.start} onChange={e => update(index, { ...entry, start: e.target.value })} />
+              </div>
+              <div className="field">
+                <label>End (optional)</label>
+                <input type="datetime-local" value={entry.end || ''} onChange={e => {
+                  const { end: _, ...rest } = entry
+                  update(index, e.target.value ? { ...rest, end: e.target.value } : rest)
+                }} />
+              </div>
+            </div>
+            {keys.map(key => {
+              const field = fields.find(f => f.key === key)
+              return (
+                <div key={key} className="schedule-value">
+                  {field
+                    ? <Field field={field} value={entry.values[key]} onChange={(k, val) => setValue(index, k, val)} />
+                    : <div className="small"><code>{key}</code> (a field of another template)</div>}
+                  <button onClick={() => removeValue(index, key)}>Remove {field?.label || key}</button>
+                </div>
+              )
+            })}
+            {available.length > 0 && (
+              <select value="" onChange={e => {
+                const field = fields.find(f => f.key === e.target.value)
+                if (field) setValue(index, field.key, field.type === 'boolean' ? false : field.type === 'list' ? [] : '')
+              }}>
+                <option value="">Schedule a field…</option>
+                {available.map(f => <option key={f.key} value={f.key}>{f.label}</option>)}
+              </select>
+            )}
+          </div>
+        )
+      })}
+      <button onClick={addEntry}>Add scheduled values</button>
+    </details>
+  )
+}
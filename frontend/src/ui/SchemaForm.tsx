@@ -0,0 +1,125 @@
+import React from 'react'
+import Field, { FieldLayer, LayerNote, SchemaField } from './Field'
+import { Asset } from './AssetPicker'
+
+type Props = {
+  fields: SchemaField[]
+  values: Record<string, any>
+  fieldErrors: (key:string) => string[]
+  pendingReview: string[]
+  layerOf: (key:string) => FieldLayer | null
+  onReset: (key:string) => void
+  images: Asset[]
+  onImageUploaded: (image:Asset) => void
+  onReviewed: (key:string) => void
+  onChange: (key:string, val:any) => void
+}
+
+// Same rule as isShown in lib/validation.js: "key" shows a field while that
+// field is set, "!key" while it is not
+function isShown(field:SchemaField, values:Record<string, any>){
+  if (!field.showIf) return true
+  const negate = field.showIf.startsWith('!')
+  const value = values[negate ? field.showIf.slice(1) : field.showIf]
+  const set = Array.isArray(value) ? value.length > 0 : value === true || (typeof value === 'string' && value.trim() !== '')
+  return negate ? !set : set
+}
+
+// Repeatable list field: one block of itemFields per item
+function ListField({ field, value, errors, layer, onReset, images, onImageUploaded, onChange }: {
+  field: SchemaField
+  value: any
+  errors: string[]
+  layer: FieldLayer | null
+  onReset: () => void
+  images: Asset[]
+  onImageUploaded: (image:Asset) => void
+  onChange: (val:any[]) => void
+}){
+  const items: Record<string, any>[] = Array.isArray(value) ? value : []
+  const itemLabel = field.itemLabel || 'Item'
+
+  function update(index:number, key:string, val:any){
+    onChange(items.map((item, i) => i === index ? { ...item, [key]: val } : item))
+  }
+
+  function move(index:number, by:number){
+    const next = [...items]
+    const [item] = next.splice(index, 1)
+    next.splice(index + by, 0, item)
+    onChange(next)
+  }
+
+  return (
+    <div className={'field list-field' + (errors.length ? ' invalid' : '')}>
+      <label>{field.label}</label>
+      {field.help && <div className="field-help">{field.help}</div>}
+      {layer && <LayerNote layer={layer} onReset={onReset} />}
+      {items.map((item, index) => (
+        <div key={index} className="list-item">
+          <div className="list-item-head">
+            <strong>{itemLabel} {index + 1}</strong>
+            <span>
+              <button disabled={index === 0} onClick={() => move(index, -1)} title="Move up">↑</button>
+              <button disabled={index === items.length - 1} onClick={() => move(index, 1)} title="Move down">↓</button>
+              <button onClick={() => onChange(items.filter((_, i) => i !== index))}>Remove</button>
+            </span>
+          </div>
+          {(field.itemFields || []).filter(f => isShown(f, item)).map(f => (
+            <Field key={f.key} field={{ ...f, key: `${field.key}.${index}.${f.key}` }} value={item[f.key] ?? ''}
+              images={images} onImageUploaded={onImageUploaded} onChange={(_, val) => update(index, f.key, val)} />
+          ))}
+        </div>
+      ))}
+      <button onClick={() => onChange([...items, {}])}>Add {itemLabel.toLowerCase()}</button>
+      {errors.map((msg, i) => <div key={i} className="field-error">{msg}</div>)}
+    </div>
+  )
+}
+
+// Venue fields for one template's schema, in collapsible sections by `group`
+// (ungrouped fields first), skipping fields whose showIf condition is not met.
+// `values` are the merged values the venue renders with; layerOf tells which
+// of them are inherited from a brand layer.
+export default function SchemaForm({ fields, values, fieldErrors, pendingReview, layerOf, onReset, images, onImageUploaded, onReviewed, onChange }: Props){
+  const groups: { label:string; fields:SchemaField[] }[] = []
+  for (const field of fields) {
+    const label = field.group || ''
+    let group = groups.find(g => g.label === label)
+    if (!group) {
+      group = { label, fields: [] }
+      if (label) groups.push(group)
+      else groups.unshift(group)
+    }
+    group.fields.push(field)
+  }
+
+  function renderField(f:SchemaField){
+    if (!isShown(f, values)) return null
+    if (f.type === 'list') {
+      return (
+        <ListField key={f.key} field={f} value={values[f.key]} errors={fieldErrors(f.key)} layer={layerOf(f.key)} onReset={() => onReset(f.key)}
+          images={images} onImageUploaded={onImageUploaded} onChange={val => onChange(f.key, val)} />
+      )
+    }
+    return (
+      <Field key={f.key} field={f} value={values[f.key] ?? ''} errors={fieldErrors(f.key)} needsReview={pendingReview.includes(f.key)}
+        layer={layerOf(f.key)} onReset={onReset} images={images} onImageUploaded={onImageUploaded} onReviewed={onReviewed} onChange={onChange} />
+    )
+  }
+
+  return (
+    <>
+      {groups.map(group => {
+        if (!group.label) return <React.Fragment key="">{group.fields.map(renderField)}</React.Fragment>
+        const flagged = group.fields.some(f => fieldErrors(f.key).length > 0 || pendingReview.includes(f.key))
+        return (
+          <details key={group.label} className="field-group" open>
+            <summary>{group.label}{flagged && <span className="field-error"> • needs attention</span>}</summary>
+            {group.fields.map(renderField)}
+          </details>
+        )
+      })}
+    </>
+  )
+}
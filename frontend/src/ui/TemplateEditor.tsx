@@ -0,0 +1,193 @@
+import React, { useEffect, useState } from 'react'
+import axios from 'axios'
+import { API_BASE } from './api'
+import CodeEditor from './CodeEditor'
+
+export type CompileError = { line:number|null; column?:number|null; message:string; partial?:string|null }
+export type TemplateDraft = { source:string|null; partials:Record<string, string> }
+type SchemaError = { key:string|null; message:string }
+type Tab = { kind:'template' } | { kind:'schema' } | { kind:'partial'; name:string }
+
+type Props = {
+  templateKey: string
+  previewErrors: CompileError[]
+  onDraftChange: (draft:TemplateDraft) => void
+  onSchemaSaved: (schema:any) => void
+}
+
+export const NO_DRAFT: TemplateDraft = { source: null, partials: {} }
+
+function jsonErrorLine(text:string, message:string){
+  const position = /position (\d+)/.exec(message)
+  return position ? text.slice(0, Number(position[1])).split('\n').length : null
+}
+
+// Admin code pane for a template's Handlebars source, its schema JSON and the
+// shared partials. Unsaved template and partial source is handed up so the
+// preview renders it live.
+export default function TemplateEditor({ templateKey, previewErrors, onDraftChange, onSchemaSaved }: Props){
+  const [tab, setTab] = useState<Tab>({ kind: 'template' })
+  const [source, setSource] = useState('')
+  const [savedSource, setSavedSource] = useState('')
+  const [schemaText, setSchemaText] = useState('')
+  const [savedSchemaText, setSavedSchemaText] = useState('')
+  const [partialNames, setPartialNames] = useState<string[]>([])
+  const [partials, setPartials] = useState<Record<string, string>>({})
+  const [savedPartials, setSavedPartials] = useState<Record<string, string>>({})
+  const [saveErrors, setSaveErrors] = useState<CompileError[]>([])
+  const [schemaErrors, setSchemaErrors] = useState<SchemaError[]>([])
+  const [schemaLine, setSchemaLine] = useState<number | null>(null)
+
+  useEffect(() => {
+    axios.get(`${API_BASE}/api/partials`).then(r => setPartialNames(r.data.partials || []))
+  }, [])
+
+  useEffect(() => {
+    setTab({ kind: 'template' }); setPartials({}); setSavedPartials({})
+    setSaveErrors([]); setSchemaErrors([]); setSchemaLine(null)
+    axios.get(`${API_BASE}/api/templates/${templateKey}/source`).then(r => {
+      setSource(r.data.source); setSavedSource(r.data.source)
+    })
+    axios.get(`${API_BASE}/api/schema/${templateKey}`).then(r => {
+      const text = JSON.stringify(r.data.schema || { title: templateKey, fields: [] }, null, 2)
+      setSchemaText(text); setSavedSchemaText(text)
+    })
+    return () => onDraftChange(NO_DRAFT)
+  }, [templateKey])
+
+  function publishDraft(nextSource:string, nextPartials:Record<string, string>){
+    const changed = Object.fromEntries(Object.entries(nextPartials).filter(([name, text]) => text !== savedPartials[name]))
+    onDraftChange({ source: nextSource === savedSource ? null : nextSource, partials: changed })
+  }
+
+  function openPartial(name:string){
+    setTab({ kind: 'partial', name })
+    if (name in partials) return
+    axios.get(`${API_BASE}/api/partials/${name}`).then(r => {
+      setPartials(p => ({ ...p, [name]: r.data.source }))
+      setSavedPartials(p => ({ ...p, [name]: r.data.source }))
+    })
+  }
+
+  function changeSource(value:string){
+    setSource(value)
+    setSaveErrors([])
+    publishDraft(value, partials)
+  }
+
+  function changePartial(name:string, value:string){
+    const next = { ...partials, [name]: value }
+    setPartials(next)
+    setSaveErrors([])
+    publishDraft(source, next)
+  }
+
+  function saveCode(){
+    const isPartial = tab.kind === 'partial'
+    const url = isPartial ? `${API_BASE}/api/partials/${tab.name}` : `${API_BASE}/api/templates/${templateKey}/source`
+    const text = isPartial ? partials[tab.name] : source
+    axios.put(url, { source: text })
+      .then(() => {
+        setSaveErrors([])
+        if (isPartial) {
+          const saved = { ...savedPartials, [tab.name]: text }
+          setSavedPartials(saved)
+          const changed = Object.fromEntries(Object.entries(partials).filter(([name, t]) => t !== saved[name]))
+          onDraftChange({ source: source === savedSource ? null : source, partials: changed })
+        } else {
+          setSavedSource(text)
+          onDraftChange({ source: null, partials: Object.fromEntries(Object.entries(partials).filter(([name, t]) => t !== savedPartials[name])) })
+        }
+      })
+      .catch(e => {
+        // render errors say which file they are in; compile errors are in this tab's
+        if (e.response?.status === 422) setSaveErrors((e.response.data.errors || []).map((err:CompileError) => ({ ...err, partial: err.partial !== undefined ? err.partial : isPartial ? tab.name : null })))
+        else alert('Save failed: '+(e.response?.data?.error || e))
+      })
+  }
+
+  function revertCode(){
+    if (tab.kind === 'partial') changePartial(tab.name, savedPartials[tab.name])
+    else changeSource(savedSource)
+  }
+
+  function saveSchema(){
+    let schema
+    try {
+      schema = JSON.parse(schemaText)
+    } catch (e:any) {
+      setSchemaLine(jsonErrorLine(schemaText, e.message))
+      setSchemaErrors([{ key: null, message: e.message }])
+      return
+    }
+    axios.put(`${API_BASE}/api/schema/${templateKey}`, schema)
+      .then(() => { setSavedSchemaText(schemaText); setSchemaErrors([]); setSchemaLine(null); onSchemaSaved(schema) })
+      .catch(e => {
+        if (e.response?.status === 422) setSchemaErrors(e.response.data.errors || [])
+        else alert('Save failed: '+(e.response?.data?.error || e))
+      })
+  }
+
+  const current = tab.kind === 'partial' ? tab.name : null
+  const allErrors = saveErrors.length ? saveErrors : previewErrors
+  const compileErrors = allErrors.filter(e => (e.partial || null) === current)
+  const otherErrors = allErrors.filter(e => (e.partial || null) !== current)
+  const partialDirty = (name:string) => name in partials && partials[name] !== savedPartials[name]
+  const codeDirty = tab.kind === 'partial' ? partialDirty(tab.name) : source !== savedSource
+  const schemaDirty = schemaText !== savedSchemaText
+
+  return (
+    <div className="template-editor">
+      <div className="row template-editor-bar">
+        <button className={tab.kind === 'template' ? 'active' : ''} onClick={() => setTab({ kind: 'template' })}>
+          {templateKey}.html.hbs{source !== savedSource ? ' •' : ''}
+        </button>
+        <button className={tab.kind === 'schema' ? 'active' : ''} onClick={() => setTab({ kind: 'schema' })}>
+          Schema{schemaDirty ? ' •' : ''}
+        </button>
+        <select className={tab.kind === 'partial' ? 'active' : ''} value={current || ''} onChange={e => e.target.value && openPartial(e.target.value)}>
+          <option value="">Partials…</option>
+          {partialNames.map(name => <option key={name} value={name}>{name}.hbs{partialDirty(name) ? ' •' : ''}</option>)}
+        </select>
+        <span style={{ flex: 1 }} />
+        {tab.kind === 'schema' ? (
+          <>
+            <button disabled={!schemaDirty} onClick={() => { setSchemaText(savedSchemaText); setSchemaErrors([]); setSchemaLine(null) }}>Revert</button>
+            <button className="primary" disabled={!schemaDirty} onClick={saveSchema}>Save schema</button>
+          </>
+        ) : (
+          <>
+            <button disabled={!codeDirty} onClick={revertCode}>Revert</button>
+            <button className="primary" disabled={!codeDirty || compileErrors.length > 0} onClick={saveCode}>
+              {tab.kind === 'partial' ? 'Save partial' : 'Save template'}
+            </button>
+          </>
+        )}
+      </div>
+
+      {tab.kind === 'template' && (
+        <CodeEditor value={source} language="handlebars" errorLines={compileErrors.map(e => e.line || 0)} onChange={changeSource} />
+      )}
+      {tab.kind === 'partial' && (
+        <CodeEditor value={partials[tab.name] ?? ''} language="handlebars" errorLines={compileErrors.map(e => e.line || 0)} onChange={value => changePartial(tab.name, value)} />
+      )}
+      {tab.kind === 'schema' && (
+        <CodeEditor value={schemaText} language="json" errorLines={schemaLine ? [schemaLine] : []} onChange={setSchemaText} />
+      )}
+
+      {tab.kind !== 'schema' && allErrors.length > 0 && (
+        <div className="errors code-errors">
+          {compileErrors.map((e, i) => <pre key={i}>{e.line ? `Line ${e.line}: ` : ''}{e.message}</pre>)}
+          {otherErrors.map((e, i) => <pre key={'o'+i}>In {e.partial ? `partial ${e.partial}` : `${templateKey}.html.hbs`}{e.line ? `, line ${e.line}` : ''}: {e.message}</pre>)}
+        </div>
+      )}
+      {tab.kind === 'schema' && schemaErrors.length > 0 && (
+        <div className="errors code-errors">
+          <ul>
+            {schemaErrors.map((e, i) => <li key={i}>{e.key ? <code>{e.key}</code> : null} {e.message}</li>)}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
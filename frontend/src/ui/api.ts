@@ -0,0 +1,45 @@
+import axios from 'axios'
+
+// Base path for API requests (injected at build time via Vite define)
+export const API_BASE = (import.meta as any).env?.VITE_API_BASE || ''
+
+export type User = { username:string; role:'admin'|'venue-manager'; venues:string[] }
+
+// Body of /api/preview, also accepted by the checks on the rendered output
+export type PreviewRequest = {
+  templateKey: string
+  venueKey: string
+  overrides?: Record<string, any>
+  revision?: string
+  templateSource?: string
+  partials?: Record<string, string>
+  sampleProfile?: string
+  locale?: string
+  at?: string // venue time (YYYY-MM-DDTHH:mm) whose scheduled values to preview
+}
+
+const TOKEN_KEY = 'emailEditorToken'
+
+export function getToken(){
+  return localStorage.getItem(TOKEN_KEY)
+}
+
+export function setToken(token:string | null){
+  if (token) localStorage.setItem(TOKEN_KEY, token)
+  else localStorage.removeItem(TOKEN_KEY)
+}
+
+// Send the bearer token with every API call; drop it when the server rejects it
+axios.interceptors.request.use(config => {
+  const token = getToken()
+  if (token) config.headers.Authorization = `Bearer ${token}`
+  return config
+})
+
+axios.interceptors.response.use(undefined, error => {
+  if (error.response?.status === 401 && getToken()) {
+    setToken(null)
+    window.dispatchEvent(new Event('auth:logout'))
+  }
+  return Promise.reject(error)
+})
@@ -21,7 +21,8 @@ export default defineConfig(({ mode }) => {
       port: 5173,
       proxy: {
         '/api': 'http://localhost:3001',
-        '/render': 'http://localhost:3001'
+        '/render': 'http://localhost:3001',
+        '/assets': 'http://localhost:3001'
       }
     },
 
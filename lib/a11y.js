@@ -0,0 +1,158 @@
+// Accessibility audit of rendered (inlined) email HTML: alt text, layout
+// tables, colour contrast, document language and link text. Styles are read
+// from the inline style attributes juice produces, inheriting colour and
+// font size from ancestors the way a browser would.
+
+import * as cheerio from "cheerio";
+
+// WCAG 2 AA minimum contrast for normal and large text
+const MIN_CONTRAST = 4.5;
+const MIN_CONTRAST_LARGE = 3;
+
+const VAGUE_LINK_TEXT = new Set([
+  "click here", "here", "click", "more", "read more", "learn more", "link", "this", "this link", "go", "details"
+]);
+
+const NAMED_COLORS = { white: "#ffffff", black: "#000000", red: "#ff0000", blue: "#0000ff", gray: "#808080", grey: "#808080" };
+
+function parseStyle(style) {
+  const declarations = {};
+  for (const part of (style || "").split(";")) {
+    const index = part.indexOf(":");
+    if (index > 0) declarations[part.slice(0, index).trim().toLowerCase()] = part.slice(index + 1).trim();
+  }
+  return declarations;
+}
+
+// [r, g, b] for a hex, rgb() or (a few) named colours; null otherwise
+function parseColor(value) {
+  if (!value) return null;
+  const text = value.trim().toLowerCase();
+  const hex = /#([0-9a-f]{3}|[0-9a-f]{6})\b/.exec(NAMED_COLORS[text] || text);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].split("").map(d => d + d).join("") : hex[1];
+    return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+  }
+  const rgb = /rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/.exec(text);
+  return rgb ? rgb.slice(1, 4).map(Number) : null;
+}
+
+function toHex(rgb) {
+  return "#" + rgb.map(c => c.toString(16).padStart(2, "0")).join("");
+}
+
+function luminance(rgb) {
+  const [r, g, b] = rgb.map(c => {
+    const s = c / 255;
+    return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function contrastRatio(a, b) {
+  const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+function describe(el) {
+  const classes = (el.attribs.class || "").trim().split(/\s+/).filter(Boolean);
+  return el.name + classes.map(c => `.${c}`).join("");
+}
+
+function ownText($, el) {
+  return $(el).contents().filter((_, n) => n.type === "text").text().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * The colour, background and font of `el`, inherited from its ancestors.
+ */
+function computedStyle(el) {
+  let color = null;
+  let background = null;
+  let fontSize = null;
+  let bold = false;
+  for (let node = el; node && node.type === "tag"; node = node.parent) {
+    const style = parseStyle(node.attribs.style);
+    color = color || parseColor(style.color);
+    background = background || parseColor(style["background-color"]) || parseColor(style.background) || parseColor(node.attribs.bgcolor);
+    if (!fontSize && style["font-size"]) {
+      const px = /([\d.]+)px/.exec(style["font-size"]);
+      if (px) fontSize = Number(px[1]);
+    }
+    const weight = style["font-weight"];
+    if (["strong", "b", "h1", "h2", "h3", "h4", "h5", "h6"].includes(node.name) || weight === "bold" || Number(weight) >= 600) {
+      bold = true;
+    }
+  }
+  return {
+    color: color || [0, 0, 0],
+    background: background || [255, 255, 255],
+    fontSize: fontSize || 16,
+    bold
+  };
+}
+
+/**
+ * Audit rendered email HTML.
+ * Returns { ok, errors, warnings, issues: [{ level, code, message, where }] }.
+ */
+export function checkAccessibility(html) {
+  const $ = cheerio.load(html);
+  const issues = [];
+  const report = (level, code, message, where) => issues.push({ level, code, message, where });
+
+  const lang = ($("html").attr("lang") || "").trim();
+  if (!lang) report("error", "missing-lang", "<html> has no lang attribute; screen readers may use the wrong voice", "html");
+
+  $("img").each((_, el) => {
+    const alt = $(el).attr("alt");
+    const src = ($(el).attr("src") || "").split("/").pop();
+    const decorative = $(el).attr("role") === "presentation" || $(el).attr("aria-hidden") === "true";
+    if (alt === undefined) {
+      report("error", "image-alt-missing", `Image ${src} has no alt attribute`, describe(el));
+    } else if (!alt.trim() && !decorative) {
+      report("warning", "image-alt-empty", `Image ${src} has empty alt text; describe it, or mark it role="presentation" if it is decorative`, describe(el));
+    }
+  });
+
+  $("table").each((_, el) => {
+    const role = $(el).attr("role");
+    if (role !== "presentation" && role !== "none" && !$(el).find("th").length) {
+      report("warning", "layout-table-role", 'Layout table without role="presentation"; screen readers will announce it as a data table', describe(el));
+    }
+  });
+
+  $("a").each((_, el) => {
+    const text = $(el).text().replace(/\s+/g, " ").trim();
+    const altText = $(el).find("img").map((_, img) => $(img).attr("alt") || "").get().join(" ").trim();
+    const label = ($(el).attr("aria-label") || text || altText).toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, "").trim();
+    const href = $(el).attr("href") || "";
+    if (!label) {
+      report("error", "link-no-text", `Link to ${href || "(no href)"} has no text or image alt text`, describe(el));
+    } else if (VAGUE_LINK_TEXT.has(label)) {
+      report("warning", "link-text-vague", `Link text "${text || altText}" does not say where it goes (${href})`, describe(el));
+    }
+  });
+
+  // Contrast, once per colour combination
+  const seen = new Set();
+  $("body *").each((_, el) => {
+    if (["style", "script", "head", "title"].includes(el.name)) return;
+    const text = ownText($, el);
+    if (!text) return;
+    const { color, background, fontSize, bold } = computedStyle(el);
+    const ratio = contrastRatio(color, background);
+    const large = fontSize >= 24 || (bold && fontSize >= 18.66);
+    const minimum = large ? MIN_CONTRAST_LARGE : MIN_CONTRAST;
+    if (ratio >= minimum) return;
+    const key = `${toHex(color)}/${toHex(background)}/${large}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    report("warning", "low-contrast",
+      `Text ${toHex(color)} on ${toHex(background)} has contrast ${(Math.floor(ratio * 100) / 100).toFixed(2)}:1 (needs ${minimum}:1${large ? " for large text" : ""}), e.g. "${text.slice(0, 40)}"`,
+      describe(el));
+  });
+
+  const errors = issues.filter(i => i.level === "error").length;
+  return { ok: errors === 0, errors, warnings: issues.length - errors, issues };
+}
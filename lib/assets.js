@@ -0,0 +1,226 @@
+// Asset URLs in rendered emails. Venue data and templates refer to images as
+// relative /assets/... paths (served from public/); rendering rewrites them to
+// absolute URLs under the public assets base for the current environment:
+//   1. the ASSETS_URL environment variable, if set;
+//   2. otherwise "assetsUrl" for NODE_ENV (default "development") in
+//      data/environments.json;
+//   3. otherwise, in development only, this server's own /assets.
+// Also the image library in public/images (/assets/images/...): upload, list
+// and delete.
+
+import crypto from "crypto";
+import fs from "fs-extra";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dataPath, draftFile, listGroups, listVenues, loadBrandDefaults, loadGroupDefaults, loadVenueOverrides } from "./data.js";
+import { HttpError } from "./errors.js";
+import { imageInfo } from "./images.js";
+
+export const ASSET_PREFIX = "/assets/";
+
+const IMAGE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "public", "images");
+const IMAGE_PREFIX = `${ASSET_PREFIX}images/`;
+
+// SVG and WebP are left out on purpose: most mail clients will not show them
+export const IMAGE_TYPES = { png: "png", jpeg: "jpg", gif: "gif" };
+export const MAX_IMAGE_BYTES = 1024 * 1024;
+
+const IMAGE_NAME = /^[A-Za-z0-9][A-Za-z0-9_-]{0,80}\.(png|jpe?g|gif)$/i;
+
+// Absolute URLs pointing at a local server's /assets, as older venue files store them
+const LOCAL_ASSET_URL = /^https?:\/\/(localhost|127\.0\.0\.1|0\.0\.0\.0)(:\d+)?\/assets\//i;
+
+// A relative asset path at the start of an attribute value or CSS url()
+const RELATIVE_ASSET = /(=\s*["']|url\(\s*["']?)\/assets\//gi;
+
+export function environmentName() {
+  return process.env.NODE_ENV || "development";
+}
+
+/**
+ * The absolute base URL (no trailing slash) /assets/ paths resolve against,
+ * or null when none is configured for this environment.
+ */
+export async function assetsBaseUrl() {
+  let base = process.env.ASSETS_URL;
+  if (!base) {
+    const file = dataPath("environments.json");
+    const environments = await fs.pathExists(file) ? await fs.readJson(file) : {};
+    base = environments[environmentName()]?.assetsUrl;
+  }
+  if (!base && environmentName() === "development") {
+    base = `http://localhost:${process.env.PORT || 3001}/assets`;
+  }
+  return base ? base.replace(/\/+$/, "") : null;
+}
+
+/**
+ * Rewrite relative /assets/... references in rendered HTML to absolute URLs
+ * under `base`. Left unchanged when no base is configured.
+ */
+export function resolveAssetUrls(html, base) {
+  if (!base) return html;
+  return html.replace(RELATIVE_ASSET, (_, lead) => `${lead}${base}/`);
+}
+
+/**
+ * The relative /assets/... form of an absolute localhost asset URL, or null
+ * when `value` is not one. Used by the migration script.
+ */
+export function toAssetPath(value) {
+  if (typeof value !== "string" || !LOCAL_ASSET_URL.test(value.trim())) return null;
+  return value.trim().replace(LOCAL_ASSET_URL, ASSET_PREFIX);
+}
+
+/**
+ * Image URLs in rendered HTML that will not load for recipients: localhost
+ * (or still relative) URLs, and plain http:// ones that mail clients block
+ * or flag as insecure.
+ * Returns [{ level, code, url, message }], one per distinct URL.
+ */
+export function checkAssetUrls(html) {
+  const urls = new Set();
+  for (const [, url] of html.matchAll(/<img\b[^>]*?\ssrc\s*=\s*["']([^"']+)["']/gi)) urls.add(url);
+  for (const [, url] of html.matchAll(/\sbackground\s*=\s*["']([^"']+)["']/gi)) urls.add(url);
+  for (const [, url] of html.matchAll(/url\(\s*["']?([^"')]+)["']?\s*\)/gi)) urls.add(url);
+
+  const issues = [];
+  for (const url of urls) {
+    if (/^https?:\/\/(localhost|127\.0\.0\.1|0\.0\.0\.0)([:/]|$)/i.test(url)) {
+      issues.push({ level: "warning", code: "local-asset-url", url, message: `Image ${url} points at localhost and will not load for recipients` });
+    } else if (url.startsWith(ASSET_PREFIX)) {
+      issues.push({ level: "warning", code: "relative-asset-url", url, message: `Image ${url} is relative; set ASSETS_URL so it renders as an absolute URL` });
+    } else if (/^http:\/\//i.test(url)) {
+      issues.push({ level: "warning", code: "insecure-asset-url", url, message: `Image ${url} uses http://; mail clients may block it, use https://` });
+    }
+  }
+  return issues;
+}
+
+/**
+ * Return `name` if it is a safe image file name (no paths), else throw a 400.
+ */
+export function assertImageName(name) {
+  if (typeof name !== "string" || !IMAGE_NAME.test(name)) {
+    throw new HttpError(400, "Invalid image name: use letters, digits, '-' or '_' and a .png, .jpg or .gif extension");
+  }
+  return name;
+}
+
+function describeImage(name, buffer, stat) {
+  const info = imageInfo(buffer);
+  return {
+    name,
+    url: IMAGE_PREFIX + name,
+    type: info?.type ?? null,
+    width: info?.width ?? null,
+    height: info?.height ?? null,
+    bytes: stat.size,
+    modified: stat.mtime.toISOString()
+  };
+}
+
+/**
+ * Every image in the library, by name:
+ * [{ name, url, type, width, height, bytes, modified }].
+ */
+export async function listImages() {
+  if (!await fs.pathExists(IMAGE_DIR)) return [];
+  const images = [];
+  for (const name of (await fs.readdir(IMAGE_DIR)).sort()) {
+    if (!IMAGE_NAME.test(name)) continue;
+    const file = path.join(IMAGE_DIR, name);
+    images.push(describeImage(name, await fs.readFile(file), await fs.stat(file)));
+  }
+  return images;
+}
+
+/**
+ * Details of one image, or null if there is no such file.
+ */
+export async function loadImageInfo(name) {
+  const file = path.join(IMAGE_DIR, assertImageName(name));
+  if (!await fs.pathExists(file)) return null;
+  return describeImage(name, await fs.readFile(file), await fs.stat(file));
+}
+
+/**
+ * The library image a venue value points at ("/assets/images/<name>"), or null.
+ */
+export function imageNameFromUrl(value) {
+  if (typeof value !== "string" || !value.startsWith(IMAGE_PREFIX)) return null;
+  const name = value.slice(IMAGE_PREFIX.length);
+  return IMAGE_NAME.test(name) ? name : null;
+}
+
+/**
+ * Store an uploaded image under a generated name: the original name reduced
+ * to a lowercase slug plus a content hash, with the extension of the detected
+ * type (so "Header Final!.JPG" becomes "header-final-1a2b3c4d.jpg"). The
+ * content decides the type; anything that is not PNG, JPEG or GIF, or is over
+ * MAX_IMAGE_BYTES, is refused. Uploading the same file twice is a no-op.
+ */
+export async function saveImage(buffer, originalName = "") {
+  if (!Buffer.isBuffer(buffer) || !buffer.length) throw new HttpError(400, "Upload an image file as the request body");
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    throw new HttpError(413, `Images must be at most ${MAX_IMAGE_BYTES / 1024} KB`);
+  }
+  const info = imageInfo(buffer);
+  if (!info) throw new HttpError(415, "Only PNG, JPEG and GIF images can be uploaded");
+
+  const slug = path.parse(String(originalName)).name.toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 40) || "image";
+  const hash = crypto.createHash("sha256").update(buffer).digest("hex").slice(0, 8);
+  const name = `${slug}-${hash}.${IMAGE_TYPES[info.type]}`;
+  const file = path.join(IMAGE_DIR, name);
+  if (!await fs.pathExists(file)) {
+    await fs.ensureDir(IMAGE_DIR);
+    await fs.writeFile(file, buffer);
+  }
+  return describeImage(name, buffer, await fs.stat(file));
+}
+
+/**
+ * Venue and brand-layer fields that use an image: [{ venue, key }] for a
+ * venue's own values, [{ venue, draft: true, key }] for its unpublished draft,
+ * [{ layer: "brand", key }] or [{ layer: "group", group, key }] for inherited
+ * ones. A use inside a list item is keyed "list.<index>.<itemKey>".
+ */
+export async function imageUsage(name) {
+  const usage = [];
+  const visit = (owner, key, value) => {
+    if (Array.isArray(value)) value.forEach((item, index) => visit(owner, `${key}.${index}`, item));
+    else if (value && typeof value === "object") for (const [k, v] of Object.entries(value)) visit(owner, `${key}.${k}`, v);
+    else if (imageNameFromUrl(value) === name) usage.push({ ...owner, key });
+  };
+  const scan = (owner, values) => {
+    for (const [key, value] of Object.entries(values)) visit(owner, key, value);
+  };
+  scan({ layer: "brand" }, await loadBrandDefaults());
+  for (const group of await listGroups()) scan({ layer: "group", group }, await loadGroupDefaults(group));
+  for (const venue of await listVenues()) {
+    scan({ venue }, await loadVenueOverrides(venue));
+    // Publishing the draft would bring the image back
+    if (await fs.pathExists(draftFile(venue))) scan({ venue, draft: true }, await loadVenueOverrides(venue, { draft: true }));
+  }
+  return usage;
+}
+
+function usageLabel({ venue, draft, layer, group, key }) {
+  if (venue) return draft ? `${venue} (draft).${key}` : `${venue}.${key}`;
+  return layer === "group" ? `group ${group}.${key}` : `brand defaults.${key}`;
+}
+
+/**
+ * Delete an image, refusing (409) while any venue, venue draft or brand layer
+ * still uses it.
+ */
+export async function deleteImage(name) {
+  const file = path.join(IMAGE_DIR, assertImageName(name));
+  if (!await fs.pathExists(file)) throw new HttpError(404, "Image not found");
+  const usage = await imageUsage(name);
+  if (usage.length) {
+    throw new HttpError(409, `Image ${name} is still used by ${usage.map(usageLabel).join(", ")}`, { usage });
+  }
+  await fs.remove(file);
+}
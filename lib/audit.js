@@ -0,0 +1,34 @@
+// Append-only audit log of writes to venue, template, schema and brand data.
+// One JSON object per line in data/audit.jsonl:
+//   { at, actor, action, target: { type, venue?, template? }, changes, note? }
+// where `changes` is the field-level diff from lib/diff.js.
+
+import { dataPath } from "./data.js";
+import { appendJsonLine, readJsonLines } from "./jsonl.js";
+
+const AUDIT_FILE = dataPath("audit.jsonl");
+
+export async function recordAudit({ actor, action, target, changes = [], note }) {
+  const entry = { at: new Date().toISOString(), actor: actor || "system", action, target, changes };
+  if (note) entry.note = note;
+  await appendJsonLine(AUDIT_FILE, entry);
+  return entry;
+}
+
+function matches(entry, { venue, venues, user, from, to }) {
+  const entryVenues = [entry.target?.venue, entry.target?.previousVenue].filter(Boolean);
+  if (venue && !entryVenues.includes(venue)) return false;
+  if (venues && !entryVenues.some(v => venues.includes(v))) return false;
+  if (user && entry.actor !== user) return false;
+  if (from && entry.at < from) return false;
+  if (to && entry.at > to) return false;
+  return true;
+}
+
+/**
+ * Read audit entries, newest first. Filters: venue, venues (any of), user,
+ * from/to (ISO timestamps, inclusive) and limit.
+ */
+export async function readAudit(filters = {}) {
+  return readJsonLines(AUDIT_FILE, { filter: entry => matches(entry, filters), limit: filters.limit });
+}
@@ -0,0 +1,215 @@
+// Local users, password hashing, bearer tokens and signed render URLs.
+//
+// Users live in data/users.json (managed with scripts/manage-users.js):
+//   { "users": [{ "username", "passwordHash", "role", "venues": [] }] }
+// Roles: "admin" edits everything; "venue-manager" edits only the venues
+// listed in `venues`. Tokens and render signatures are HMACs keyed by
+// AUTH_SECRET, or a secret generated once into data/.auth-secret.
+
+import crypto from "crypto";
+import fs from "fs-extra";
+import { promisify } from "util";
+import { dataPath } from "./data.js";
+import { HttpError } from "./errors.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+export const ROLES = ["admin", "venue-manager"];
+
+const USERS_FILE = dataPath("users.json");
+const SECRET_FILE = dataPath(".auth-secret");
+const TOKEN_TTL_SECONDS = 12 * 60 * 60;
+const MAX_RENDER_LINK_SECONDS = 30 * 24 * 60 * 60;
+
+let secret = null;
+
+async function getSecret() {
+  if (secret) return secret;
+  if (process.env.AUTH_SECRET) {
+    secret = process.env.AUTH_SECRET;
+  } else if (await fs.pathExists(SECRET_FILE)) {
+    secret = (await fs.readFile(SECRET_FILE, "utf8")).trim();
+  } else {
+    secret = crypto.randomBytes(32).toString("hex");
+    await fs.writeFile(SECRET_FILE, secret, { mode: 0o600 });
+  }
+  return secret;
+}
+
+async function sign(value) {
+  return crypto.createHmac("sha256", await getSecret()).update(value).digest("base64url");
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// ----- Users -----
+
+export async function loadUsers() {
+  if (!await fs.pathExists(USERS_FILE)) return [];
+  return (await fs.readJson(USERS_FILE)).users || [];
+}
+
+export async function saveUsers(users) {
+  await fs.writeJson(USERS_FILE, { users }, { spaces: 2, mode: 0o600 });
+}
+
+export async function findUser(username) {
+  return (await loadUsers()).find(u => u.username === username) || null;
+}
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || "").split("$");
+  const expected = Buffer.from(hashHex || "", "hex");
+  if (scheme !== "scrypt" || !saltHex || !expected.length) return false;
+  const hash = await scrypt(String(password), Buffer.from(saltHex, "hex"), expected.length);
+  return crypto.timingSafeEqual(hash, expected);
+}
+
+/**
+ * The user as exposed to the client and to route handlers (no password hash).
+ */
+export function publicUser(user) {
+  return { username: user.username, role: user.role, venues: user.venues || [] };
+}
+
+export function canEditVenue(user, venueKey) {
+  return user.role === "admin" || (user.venues || []).includes(venueKey);
+}
+
+/**
+ * Keep venue-manager assignments pointing at a venue after it is renamed.
+ */
+export async function renameVenueAssignments(fromKey, toKey) {
+  const users = await loadUsers();
+  let changed = false;
+  for (const user of users) {
+    if ((user.venues || []).includes(fromKey)) {
+      user.venues = user.venues.map(v => (v === fromKey ? toKey : v));
+      changed = true;
+    }
+  }
+  if (changed) await saveUsers(users);
+}
+
+/**
+ * Drop a deleted venue from venue-manager assignments, so re-creating the key
+ * later does not hand it back to its old managers.
+ */
+export async function removeVenueAssignments(venueKey) {
+  const users = await loadUsers();
+  let changed = false;
+  for (const user of users) {
+    if ((user.venues || []).includes(venueKey)) {
+      user.venues = user.venues.filter(v => v !== venueKey);
+      changed = true;
+    }
+  }
+  if (changed) await saveUsers(users);
+}
+
+// ----- Tokens -----
+
+export async function issueToken(user) {
+  const payload = Buffer.from(JSON.stringify({
+    sub: user.username,
+    exp: Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS
+  })).toString("base64url");
+  return `${payload}.${await sign(payload)}`;
+}
+
+/**
+ * Resolve a bearer token to the current user record, or null if the token is
+ * invalid, expired or names a user that no longer exists.
+ */
+export async function verifyToken(token) {
+  const [payload, signature] = String(token || "").split(".");
+  if (!payload || !signature || !safeEqual(signature, await sign(payload))) return null;
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (!claims.exp || claims.exp < Date.now() / 1000) return null;
+  return findUser(claims.sub);
+}
+
+export async function login(username, password) {
+  const user = await findUser(username);
+  if (!user || !await verifyPassword(password, user.passwordHash)) {
+    throw new HttpError(401, "Invalid username or password");
+  }
+  return { token: await issueToken(user), user: publicUser(user) };
+}
+
+// ----- Signed render URLs -----
+
+// What a render link signs; draft links are signed separately so a link to
+// the published version cannot be turned into one for the draft
+function renderClaim(templateKey, venueKey, expires, draft) {
+  return `${draft ? "render-draft" : "render"}:${templateKey}:${venueKey}:${expires}`;
+}
+
+/**
+ * Sign a /render URL so it can be opened without logging in, until `expires`
+ * (unix seconds). `draft` signs a link to the venue's draft (?draft=true).
+ */
+export async function signRender(templateKey, venueKey, expiresIn = 60 * 60, { draft = false } = {}) {
+  const seconds = Math.min(Math.max(Number(expiresIn) || 0, 60), MAX_RENDER_LINK_SECONDS);
+  const expires = Math.floor(Date.now() / 1000) + seconds;
+  const sig = await sign(renderClaim(templateKey, venueKey, expires, draft));
+  return { expires, sig };
+}
+
+export async function verifyRenderSignature(templateKey, venueKey, expires, sig, { draft = false } = {}) {
+  if (!expires || !sig || Number(expires) < Date.now() / 1000) return false;
+  return safeEqual(sig, await sign(renderClaim(templateKey, venueKey, expires, draft)));
+}
+
+// ----- Express middleware -----
+
+/**
+ * Attach req.user from an `Authorization: Bearer <token>` header, if valid.
+ */
+export async function authenticate(req, _res, next) {
+  try {
+    const header = req.get("authorization") || "";
+    const token = header.startsWith("Bearer ") ? header.slice(7) : null;
+    const user = token ? await verifyToken(token) : null;
+    req.user = user ? publicUser(user) : null;
+    next();
+  } catch (e) {
+    next(e);
+  }
+}
+
+export function requireAuth(req, _res, next) {
+  next(req.user ? undefined : new HttpError(401, "Login required"));
+}
+
+export function requireRole(role) {
+  return (req, _res, next) => {
+    if (!req.user) return next(new HttpError(401, "Login required"));
+    next(req.user.role === role ? undefined : new HttpError(403, `Requires the ${role} role`));
+  };
+}
+
+/**
+ * Throw 403 unless the logged-in user may edit `venueKey`.
+ */
+export function assertVenueAccess(user, venueKey) {
+  if (!user) throw new HttpError(401, "Login required");
+  if (!canEditVenue(user, venueKey)) {
+    throw new HttpError(403, `You are not assigned to venue ${venueKey}`);
+  }
+}
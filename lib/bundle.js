@@ -0,0 +1,215 @@
+// Release bundles: every venue × template (× locale) rendered the way /render
+// serves it, zipped with a manifest of content hashes and placeholders so two
+// releases can be compared and only the emails that changed re-pasted into the
+// booking system.
+//
+// Layout: manifest.json, then <venue>/<template>.html (and .txt), with
+// <venue>/<template>.<locale>.html for locales other than the default.
+
+import archiver from "archiver";
+import crypto from "crypto";
+import zlib from "zlib";
+import { assetsBaseUrl, environmentName } from "./assets.js";
+import { listTemplates, listVenues, loadVenue, loadVenueMeta, requireTemplate, requireVenue } from "./data.js";
+import { HttpError } from "./errors.js";
+import { assertKey } from "./keys.js";
+import { assertLocale, loadLocales } from "./locales.js";
+import { renderEmail } from "./render.js";
+import { htmlToText } from "./text.js";
+
+export const MANIFEST_NAME = "manifest.json";
+
+function sha256(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+function fileEntry(path, content) {
+  return { path, sha256: sha256(content), bytes: Buffer.byteLength(content) };
+}
+
+// Identifies one email across bundles
+function emailId({ venue, template, locale }) {
+  return `${venue}/${template}/${locale}`;
+}
+
+/**
+ * Check a filter list (venues, templates or locales, as an array or a
+ * comma-separated string): each entry must pass `check`. Returns null when
+ * nothing was asked for.
+ */
+export async function resolveFilter(requested, check) {
+  const list = Array.isArray(requested) ? requested : String(requested ?? "").split(",").map(s => s.trim()).filter(Boolean);
+  if (!list.length) return null;
+  for (const item of list) await check(item);
+  return [...new Set(list)];
+}
+
+/**
+ * Render a bundle. `venues`, `templates` and `locales` narrow it down (arrays
+ * or comma-separated strings; everything when omitted, except locales, which
+ * default to the default locale); `text` adds the plain-text parts.
+ * `canAccess(venue)` limits the venues to those a user may export: the others
+ * are left out of "everything" and refused (403) when asked for by name.
+ * Venues with cloned fields awaiting review are skipped, as /render refuses
+ * them. Returns { manifest, files: [{ path, content }] }.
+ */
+export async function buildBundle({ venues, templates, locales, text = false, canAccess = () => true } = {}) {
+  const localeConfig = await loadLocales();
+  const venueFilter = await resolveFilter(venues, async v => {
+    await requireVenue(assertKey(v, "venue"));
+    if (!canAccess(v)) throw new HttpError(403, `No access to venue ${v}`);
+  });
+  const templateFilter = await resolveFilter(templates, t => requireTemplate(assertKey(t, "template")));
+  const localeCodes = await resolveFilter(locales, assertLocale) || [localeConfig.default];
+  const venueKeys = venueFilter || (await listVenues()).filter(canAccess);
+  const templateKeys = templateFilter || await listTemplates();
+
+  const files = [];
+  const emails = [];
+  const skipped = [];
+  for (const venue of venueKeys) {
+    const { pendingReview = [] } = await loadVenueMeta(venue);
+    if (pendingReview.length) {
+      skipped.push({ venue, reason: `Cloned fields awaiting review: ${pendingReview.join(", ")}` });
+      continue;
+    }
+    for (const locale of localeCodes) {
+      const vars = await loadVenue(venue, { locale });
+      for (const template of templateKeys) {
+        const { html, placeholders } = await renderEmail(template, vars, { locale });
+        const base = locale === localeConfig.default ? `${venue}/${template}` : `${venue}/${template}.${locale}`;
+        const email = {
+          venue, template, locale,
+          html: fileEntry(`${base}.html`, html),
+          placeholders: placeholders.used.map(p => p.token)
+        };
+        files.push({ path: email.html.path, content: html });
+        if (text) {
+          const plain = htmlToText(html);
+          email.text = fileEntry(`${base}.txt`, plain);
+          files.push({ path: email.text.path, content: plain });
+        }
+        emails.push(email);
+      }
+    }
+  }
+
+  const manifest = {
+    createdAt: new Date().toISOString(),
+    environment: environmentName(),
+    assetsBaseUrl: await assetsBaseUrl(),
+    // null: every venue (or template) at the time of the export
+    filters: { venues: venueFilter, templates: templateFilter, locales: localeCodes, text: !!text },
+    emails,
+    skipped
+  };
+  return { manifest, files };
+}
+
+/**
+ * Default file name for a bundle: email-bundle-YYYYMMDD-HHMMSS.zip (UTC).
+ */
+export function bundleFileName(manifest) {
+  const stamp = manifest.createdAt.replace(/[-:]/g, "").replace(/\..*$/, "").replace("T", "-");
+  return `email-bundle-${stamp}.zip`;
+}
+
+/**
+ * Compare a bundle manifest against an earlier one. An email has changed
+ * when its HTML hash differs, or its plain text hash where both bundles have
+ * plain text (one built without `text` says nothing about it). Earlier emails outside the
+ * current bundle's filters, or for venues it skipped, are not reported as
+ * removed. Returns { added, changed, removed, unchanged }, each a list of
+ * "venue/template/locale".
+ */
+export function compareManifests(previous, current) {
+  const { venues, templates, locales } = current.filters;
+  const skipped = new Set(current.skipped.map(s => s.venue));
+  const inScope = email => (!venues || venues.includes(email.venue))
+    && (!templates || templates.includes(email.template))
+    && locales.includes(email.locale)
+    && !skipped.has(email.venue);
+  const before = new Map((previous?.emails || []).filter(inScope).map(email => [emailId(email), email]));
+  const result = { added: [], changed: [], removed: [], unchanged: [] };
+  for (const email of current.emails) {
+    const id = emailId(email);
+    const old = before.get(id);
+    before.delete(id);
+    if (!old) result.added.push(id);
+    else if (old.html?.sha256 !== email.html.sha256 || (email.text && old.text && old.text.sha256 !== email.text.sha256)) result.changed.push(id);
+    else result.unchanged.push(id);
+  }
+  result.removed = [...before.keys()];
+  return result;
+}
+
+/**
+ * Stream a bundle as a ZIP to `output` (a writable stream such as an HTTP
+ * response). Resolves once the archive is finalized.
+ */
+export async function writeBundleZip({ manifest, files }, output) {
+  const zip = archiver("zip", { zlib: { level: 9 } });
+  const done = new Promise((resolve, reject) => {
+    zip.on("error", reject);
+    output.on("error", reject);
+    output.on("close", resolve);
+    output.on("finish", resolve);
+  });
+  zip.pipe(output);
+  zip.append(JSON.stringify(manifest, null, 2), { name: MANIFEST_NAME });
+  for (const file of files) zip.append(file.content, { name: file.path });
+  await zip.finalize();
+  await done;
+}
+
+/**
+ * Read one file out of a ZIP held in memory (stored or deflated entries, as
+ * writeBundleZip produces). Returns a Buffer, or null when the entry is absent.
+ */
+export function readZipEntry(buffer, name) {
+  // End of central directory record: signature 0x06054b50, at most 64 KiB of
+  // comment after it
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new HttpError(400, "Not a ZIP file");
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new HttpError(400, "Corrupt ZIP central directory");
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const entryName = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+    if (entryName !== name) continue;
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) return Buffer.from(data);
+    if (method === 8) return zlib.inflateRawSync(data);
+    throw new HttpError(400, `Unsupported ZIP compression method ${method}`);
+  }
+  return null;
+}
+
+/**
+ * The manifest of an earlier bundle, given the bundle ZIP or its manifest.json.
+ */
+export function readManifest(buffer) {
+  const isZip = buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50;
+  const json = isZip ? readZipEntry(buffer, MANIFEST_NAME) : buffer;
+  if (!json) throw new HttpError(400, `No ${MANIFEST_NAME} in the previous bundle`);
+  try {
+    return JSON.parse(json.toString("utf8"));
+  } catch {
+    throw new HttpError(400, `The previous ${MANIFEST_NAME} is not valid JSON`);
+  }
+}
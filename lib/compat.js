@@ -0,0 +1,109 @@
+// Email client compatibility check for rendered (inlined) HTML: finds CSS
+// and HTML features from the bundled support table in lib/email-support.js
+// and reports, per client family, which are unsupported or only partly
+// supported. Also checks Gmail's clipping limit and image URLs recipients
+// cannot load.
+
+import * as cheerio from "cheerio";
+import { checkAssetUrls } from "./assets.js";
+import { CLIENTS, FEATURES } from "./email-support.js";
+
+// Gmail hides everything after the first 102 KB of HTML behind "View entire message"
+export const GMAIL_CLIP_BYTES = 102 * 1024;
+
+const DECLARATION = /(--[\w-]+|[a-z-]+)\s*:\s*([^;{}]+)/gi;
+
+function matchesProperty(feature, property, value) {
+  const name = feature.property;
+  const nameMatches = name instanceof RegExp ? name.test(property) : name === property;
+  return nameMatches && (!feature.value || feature.value.test(value));
+}
+
+function describe(el) {
+  const classes = (el.attribs.class || "").trim().split(/\s+/).filter(Boolean);
+  return el.name + classes.map(c => `.${c}`).join("");
+}
+
+/**
+ * Find which support-table features `html` uses.
+ * Returns Map(featureId -> { count, where: Set }).
+ */
+function findFeatures(html) {
+  const $ = cheerio.load(html);
+  const found = new Map();
+  const hit = (feature, where) => {
+    const entry = found.get(feature.id) || { count: 0, where: new Set() };
+    entry.count++;
+    entry.where.add(where);
+    found.set(feature.id, entry);
+  };
+
+  const scanDeclarations = (css, where) => {
+    for (const [, property, value] of css.matchAll(DECLARATION)) {
+      for (const feature of FEATURES) {
+        if (feature.property && matchesProperty(feature, property.toLowerCase(), value)) hit(feature, where);
+      }
+    }
+  };
+
+  $("[style]").each((_, el) => scanDeclarations($(el).attr("style"), describe(el)));
+  $("style").each((_, el) => {
+    const css = $(el).text();
+    // Only rule bodies, so "(max-width:600px)" in a media query is not a declaration
+    for (const [, body] of css.matchAll(/\{([^{}]*)\}/g)) scanDeclarations(body, "<style>");
+    for (const feature of FEATURES) {
+      if (feature.css && feature.css.test(css)) hit(feature, "<style>");
+    }
+  });
+  for (const feature of FEATURES) {
+    if (feature.element) $(feature.element).each(() => hit(feature, `<${feature.element}>`));
+  }
+  return found;
+}
+
+/**
+ * Check rendered email HTML (the output of inlineCss) against the bundled
+ * client support table.
+ * Returns {
+ *   size: { bytes, limit, level },
+ *   issues: [{ level, feature, label, client, clientName, support, count, where, note }],
+ *   clients: { id: { name, warnings, info } },
+ *   images: [{ level, code, url, message }]   (see checkAssetUrls)
+ * }
+ * "no" support is a warning, "partial" is info; size is an error once Gmail
+ * would clip the message and a warning within 10% of the limit.
+ */
+export function checkCompatibility(html) {
+  const bytes = Buffer.byteLength(html, "utf8");
+  const size = {
+    bytes,
+    limit: GMAIL_CLIP_BYTES,
+    level: bytes > GMAIL_CLIP_BYTES ? "error" : bytes > GMAIL_CLIP_BYTES * 0.9 ? "warning" : "ok"
+  };
+
+  const found = findFeatures(html);
+  const issues = [];
+  const clients = Object.fromEntries(Object.entries(CLIENTS).map(([id, name]) => [id, { name, warnings: 0, info: 0 }]));
+
+  for (const feature of FEATURES) {
+    const use = found.get(feature.id);
+    if (!use) continue;
+    for (const [client, support] of Object.entries(feature.support)) {
+      if (support === "yes") continue;
+      const level = support === "no" ? "warning" : "info";
+      clients[client][level === "warning" ? "warnings" : "info"]++;
+      issues.push({
+        level,
+        feature: feature.id,
+        label: feature.label,
+        client,
+        clientName: CLIENTS[client],
+        support,
+        count: use.count,
+        where: [...use.where].slice(0, 5),
+        note: feature.note || null
+      });
+    }
+  }
+  return { size, issues, clients, images: checkAssetUrls(html) };
+}
@@ -0,0 +1,307 @@
+// File-backed access to the data/ directory (templates, partials, schemas,
+// venues and the brand layers they inherit from).
+// Shared by server.js and the CLI scripts.
+
+import fs from "fs-extra";
+import path from "path";
+import { fileURLToPath } from "url";
+import { isDeepStrictEqual } from "util";
+import { HttpError } from "./errors.js";
+import { assertKey } from "./keys.js";
+import { applySchedule, isTimezone, resolveInstant, serverTimezone } from "./schedule.js";
+import { upgradeVenue } from "./upgrade.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// DATA_DIR points the app at another data directory (the tests use a copy)
+export const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, "..", "data");
+
+/**
+ * Resolve a path inside data/, refusing anything that would land outside it.
+ * Callers still validate keys with assertKey; this is the last line of defence.
+ */
+export function dataPath(...segments) {
+  const resolved = path.resolve(DATA_DIR, ...segments);
+  if (!resolved.startsWith(DATA_DIR + path.sep)) {
+    throw new HttpError(400, "Invalid path");
+  }
+  return resolved;
+}
+
+export function venueFile(venueKey) {
+  return dataPath("venues", `${assertKey(venueKey, "venue")}.json`);
+}
+
+// Unpublished edits to a venue (see lib/drafts.js)
+export function draftFile(venueKey) {
+  return dataPath("drafts", `${assertKey(venueKey, "venue")}.json`);
+}
+
+function templateFile(templateKey) {
+  return dataPath("templates", `${assertKey(templateKey, "template")}.html.hbs`);
+}
+
+function partialFile(name) {
+  return dataPath("partials", `${assertKey(name, "partial")}.hbs`);
+}
+
+export async function venueExists(venueKey) {
+  return fs.pathExists(venueFile(venueKey));
+}
+
+export async function templateExists(templateKey) {
+  return fs.pathExists(templateFile(templateKey));
+}
+
+/**
+ * Validate a venue key and check the venue exists: 400 if the key is
+ * malformed, 404 if there is no such venue.
+ */
+export async function requireVenue(venueKey) {
+  if (!await venueExists(venueKey)) throw new HttpError(404, `Venue ${venueKey} not found`);
+  return venueKey;
+}
+
+/**
+ * Template counterpart of requireVenue.
+ */
+export async function requireTemplate(templateKey) {
+  if (!await templateExists(templateKey)) throw new HttpError(404, `Template ${templateKey} not found`);
+  return templateKey;
+}
+
+export async function requirePartial(name) {
+  if (!await fs.pathExists(partialFile(name))) throw new HttpError(404, `Partial ${name} not found`);
+  return name;
+}
+
+export async function loadTemplate(templateKey) {
+  return fs.readFile(templateFile(templateKey), "utf8");
+}
+
+export async function saveTemplate(templateKey, source) {
+  await fs.writeFile(templateFile(templateKey), source, "utf8");
+}
+
+export function venueMetaFile(venueKey) {
+  return dataPath("venue-meta", `${assertKey(venueKey, "venue")}.json`);
+}
+
+// Per-venue metadata that is not template data (see lib/venues.js)
+export async function loadVenueMeta(venueKey) {
+  const file = venueMetaFile(venueKey);
+  return (await fs.pathExists(file)) ? fs.readJson(file) : {};
+}
+
+export async function saveVenueMeta(venueKey, meta) {
+  await fs.ensureDir(dataPath("venue-meta"));
+  await fs.writeJson(venueMetaFile(venueKey), meta, { spaces: 2 });
+}
+
+// Brand layers. Values shared by every venue live in data/brand/defaults.json;
+// a venue whose meta names a `group` also inherits data/brand/groups/<group>.json.
+// Venue files hold only the venue's own overrides. Rendering sees
+// brand <- group <- venue, each layer replacing whole keys of the one below.
+
+function brandDefaultsFile() {
+  return dataPath("brand", "defaults.json");
+}
+
+function groupFile(group) {
+  return dataPath("brand", "groups", `${assertKey(group, "group")}.json`);
+}
+
+async function readLayer(file) {
+  return (await fs.pathExists(file)) ? upgradeVenue(await fs.readJson(file)) : {};
+}
+
+export async function listGroups() {
+  const dir = path.join(DATA_DIR, "brand", "groups");
+  if (!await fs.pathExists(dir)) return [];
+  const files = await fs.readdir(dir);
+  return files.filter(f => f.endsWith(".json")).map(f => path.basename(f, ".json"));
+}
+
+export async function requireGroup(group) {
+  if (!await fs.pathExists(groupFile(group))) throw new HttpError(404, `Group ${group} not found`);
+  return group;
+}
+
+export async function loadBrandDefaults() {
+  return readLayer(brandDefaultsFile());
+}
+
+export async function saveBrandDefaults(values) {
+  await fs.ensureDir(path.dirname(brandDefaultsFile()));
+  await fs.writeJson(brandDefaultsFile(), values, { spaces: 2 });
+}
+
+export async function loadGroupDefaults(group) {
+  return readLayer(groupFile(group));
+}
+
+export async function saveGroupDefaults(group, values) {
+  await fs.ensureDir(path.dirname(groupFile(group)));
+  await fs.writeJson(groupFile(group), values, { spaces: 2 });
+}
+
+/**
+ * The layers a venue inherits from, lowest first:
+ * [{ layer: "brand", values }, { layer: "group", group, values }].
+ * The group layer is only present when the venue's meta names a group.
+ */
+export async function loadInheritedLayers(venueKey) {
+  const layers = [{ layer: "brand", values: await loadBrandDefaults() }];
+  const { group } = await loadVenueMeta(venueKey);
+  if (group) layers.push({ layer: "group", group, values: await loadGroupDefaults(group) });
+  return layers;
+}
+
+/**
+ * One layer's values as seen in `locale`: its `translations[locale]` replace
+ * the default-locale values they translate. The translations object itself is
+ * dropped, so without a locale (or for the default one) this just strips it;
+ * so is the layer's schedule (see lib/schedule.js).
+ */
+export function localizeValues(values, locale) {
+  const { translations, schedule, ...rest } = values;
+  const translated = locale && translations && typeof translations === "object" ? translations[locale] : null;
+  return translated && typeof translated === "object" ? { ...rest, ...translated } : rest;
+}
+
+/**
+ * The timezone a venue's schedule times are in: the highest layer's
+ * `timezone`, else the server's.
+ */
+export function layersTimezone(layers) {
+  const timezone = layers.map(layer => layer.values.timezone).filter(isTimezone).pop();
+  return timezone || serverTimezone();
+}
+
+/**
+ * Merge layers (lowest first) into { values, sources, translated }: sources
+ * maps each key to the name of the layer its value came from, and translated
+ * lists the keys whose value is a `locale` translation. Each layer is
+ * localized before merging, so a layer's translation never outranks a
+ * higher layer's untranslated value. With `at` (see resolveInstant), each
+ * layer's schedule entries active then are applied first; without it
+ * schedules are ignored. `timezone` defaults to layersTimezone(layers).
+ */
+export function mergeLayers(layers, locale, { at, timezone = layersTimezone(layers) } = {}) {
+  const values = {};
+  const sources = {};
+  const translated = new Set();
+  const instant = at === undefined ? undefined : resolveInstant(at, timezone);
+  for (const layer of layers) {
+    const layerValues = instant === undefined ? layer.values : applySchedule(layer.values, instant, timezone);
+    const translations = (locale && layerValues.translations?.[locale]) || {};
+    for (const [key, value] of Object.entries(localizeValues(layerValues, locale))) {
+      values[key] = value;
+      sources[key] = layer.layer;
+      if (Object.hasOwn(translations, key)) translated.add(key);
+      else translated.delete(key);
+    }
+  }
+  return { values, sources, translated: [...translated] };
+}
+
+/**
+ * `values` without the keys whose value equals the inherited one, so a save
+ * only stores what the venue actually overrides. Translations are always kept.
+ */
+export function stripInherited(values, inherited) {
+  return Object.fromEntries(Object.entries(values).filter(([key, value]) => key === "translations" || !isDeepStrictEqual(value, inherited[key])));
+}
+
+/**
+ * The venue's own values as stored in its file, without inherited layers.
+ * With `draft`, the values of its draft instead, when it has one.
+ * Venues saved for older schemas are upgraded as they are read (lib/upgrade.js).
+ */
+export async function loadVenueOverrides(venueKey, { draft = false } = {}) {
+  if (draft && await fs.pathExists(draftFile(venueKey))) {
+    return upgradeVenue((await fs.readJson(draftFile(venueKey))).values);
+  }
+  const raw = await fs.readFile(venueFile(venueKey), "utf8");
+  return upgradeVenue(JSON.parse(raw));
+}
+
+/**
+ * The values a venue renders with: brand defaults, then its group's, then
+ * its own overrides, translated into `locale` where a layer has translations.
+ * `draft` renders the venue's draft instead of its published values. Scheduled
+ * values apply as of `at` (see resolveInstant), by default now.
+ */
+export async function loadVenue(venueKey, { locale, draft = false, at = Date.now() } = {}) {
+  const overrides = await loadVenueOverrides(venueKey, { draft });
+  const layers = await loadInheritedLayers(venueKey);
+  return mergeLayers([...layers, { layer: "venue", values: overrides }], locale, { at }).values;
+}
+
+export async function saveVenue(venueKey, payload) {
+  await fs.writeJson(venueFile(venueKey), payload, { spaces: 2 });
+}
+
+export async function listVenues() {
+  const dir = path.join(DATA_DIR, "venues");
+  const files = await fs.readdir(dir);
+  return files.filter(f => f.endsWith(".json")).map(f => path.basename(f, ".json"));
+}
+
+export async function listTemplates() {
+  const dir = path.join(DATA_DIR, "templates");
+  const files = await fs.readdir(dir);
+  return files.filter(f => f.endsWith(".html.hbs")).map(f => path.basename(f, ".html.hbs"));
+}
+
+function schemaFile(templateKey) {
+  return dataPath("schemas", `${assertKey(templateKey, "template")}.json`);
+}
+
+/**
+ * Shared Handlebars partials (data/partials/<name>.hbs), registered for every
+ * render. They are not templates and never appear in listTemplates().
+ */
+export async function listPartials() {
+  const dir = path.join(DATA_DIR, "partials");
+  if (!await fs.pathExists(dir)) return [];
+  const files = await fs.readdir(dir);
+  return files.filter(f => f.endsWith(".hbs")).map(f => path.basename(f, ".hbs"));
+}
+
+export async function loadPartial(name) {
+  return fs.readFile(partialFile(name), "utf8");
+}
+
+export async function savePartial(name, source) {
+  await fs.writeFile(partialFile(name), source, "utf8");
+}
+
+// { name: source } for every partial
+export async function loadPartials() {
+  const partials = {};
+  for (const name of await listPartials()) partials[name] = await loadPartial(name);
+  return partials;
+}
+
+export async function loadSchema(templateKey) {
+  const file = schemaFile(templateKey);
+  if (await fs.pathExists(file)) {
+    const raw = await fs.readFile(file, "utf8");
+    return JSON.parse(raw);
+  }
+  return null;
+}
+
+export async function saveSchema(templateKey, schema) {
+  await fs.writeJson(schemaFile(templateKey), schema, { spaces: 2 });
+}
+
+export async function loadAllSchemas() {
+  const schemas = {};
+  for (const templateKey of await listTemplates()) {
+    const schema = await loadSchema(templateKey);
+    if (schema) schemas[templateKey] = schema;
+  }
+  return schemas;
+}
@@ -0,0 +1,27 @@
+// Field-level diff between two flat venue objects.
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Compare two objects key by key.
+ * Returns [{ key, change: "added" | "removed" | "changed", before, after }],
+ * sorted by key; unchanged keys are omitted.
+ */
+export function diffFields(before = {}, after = {}) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+  for (const key of [...keys].sort()) {
+    const inBefore = before && Object.prototype.hasOwnProperty.call(before, key);
+    const inAfter = after && Object.prototype.hasOwnProperty.call(after, key);
+    if (inBefore && !inAfter) {
+      changes.push({ key, change: "removed", before: before[key], after: undefined });
+    } else if (!inBefore && inAfter) {
+      changes.push({ key, change: "added", before: undefined, after: after[key] });
+    } else if (!same(before[key], after[key])) {
+      changes.push({ key, change: "changed", before: before[key], after: after[key] });
+    }
+  }
+  return changes;
+}
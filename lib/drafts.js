@@ -0,0 +1,106 @@
+// Venue drafts. Saving in the editor writes data/drafts/<venue>.json instead of
+// the published file in data/venues, which /render, bundles and publishers
+// keep serving until the draft is published:
+//   { values, savedAt, savedBy, authors: [username], approval: { by, at } | null }
+// `values` has the shape of a venue file (the venue's own overrides).
+// Publishing writes them to data/venues as a new revision and drops the draft.
+// With REQUIRE_DRAFT_APPROVAL=true a draft must first be approved by a user
+// who did not edit it; editing it again withdraws the approval.
+
+import fs from "fs-extra";
+import { isDeepStrictEqual } from "util";
+import { dataPath, draftFile, loadVenueOverrides } from "./data.js";
+import { diffFields } from "./diff.js";
+import { HttpError } from "./errors.js";
+import { saveVenueRevision } from "./revisions.js";
+import { upgradeVenue } from "./upgrade.js";
+import { markReviewed } from "./venues.js";
+
+export function approvalRequired() {
+  return process.env.REQUIRE_DRAFT_APPROVAL === "true";
+}
+
+/**
+ * A venue's draft, or null when it has none.
+ */
+export async function loadDraft(venueKey) {
+  const file = draftFile(venueKey);
+  if (!await fs.pathExists(file)) return null;
+  const draft = await fs.readJson(file);
+  return { ...draft, values: upgradeVenue(draft.values) };
+}
+
+/**
+ * What the editor shows about a draft: everything but its values, plus the
+ * field changes it would publish. null when there is no draft.
+ */
+export async function draftStatus(venueKey) {
+  const draft = await loadDraft(venueKey);
+  if (!draft) return null;
+  const { values, ...status } = draft;
+  return { ...status, changes: diffFields(await loadVenueOverrides(venueKey), values) };
+}
+
+/**
+ * Save `values` (venue overrides) as the venue's draft, on behalf of
+ * `username`. A draft identical to the published values is dropped instead.
+ * Returns the draft status (null when dropped).
+ */
+export async function saveDraft(venueKey, values, username) {
+  const previous = await loadDraft(venueKey);
+  if (isDeepStrictEqual(values, await loadVenueOverrides(venueKey))) {
+    await fs.remove(draftFile(venueKey));
+    return null;
+  }
+  const authors = previous?.authors || [];
+  const draft = {
+    values,
+    savedAt: new Date().toISOString(),
+    savedBy: username,
+    authors: authors.includes(username) ? authors : [...authors, username],
+    approval: null
+  };
+  await fs.ensureDir(dataPath("drafts"));
+  await fs.writeJson(draftFile(venueKey), draft, { spaces: 2 });
+  return draftStatus(venueKey);
+}
+
+export async function discardDraft(venueKey) {
+  const draft = await loadDraft(venueKey);
+  if (!draft) throw new HttpError(404, `Venue ${venueKey} has no draft`);
+  await fs.remove(draftFile(venueKey));
+  return draft;
+}
+
+/**
+ * Approve a venue's draft for publishing. 409 for users who edited it.
+ */
+export async function approveDraft(venueKey, username) {
+  const draft = await loadDraft(venueKey);
+  if (!draft) throw new HttpError(404, `Venue ${venueKey} has no draft`);
+  if (draft.authors.includes(username)) {
+    throw new HttpError(409, "A draft must be approved by someone who did not edit it");
+  }
+  draft.approval = { by: username, at: new Date().toISOString() };
+  await fs.writeJson(draftFile(venueKey), draft, { spaces: 2 });
+  return draftStatus(venueKey);
+}
+
+/**
+ * Make a venue's draft its published version (a new revision) and drop the
+ * draft. Cloned fields whose published value changes count as reviewed.
+ * 409 while approval is required and missing. Returns
+ * { draft, revision, before } with `before` the previously published values.
+ */
+export async function publishDraft(venueKey, { note } = {}) {
+  const draft = await loadDraft(venueKey);
+  if (!draft) throw new HttpError(404, `Venue ${venueKey} has no draft`);
+  if (approvalRequired() && !draft.approval) {
+    throw new HttpError(409, "The draft needs approval by another user before it can be published");
+  }
+  const before = await loadVenueOverrides(venueKey);
+  const revision = await saveVenueRevision(venueKey, draft.values, { note });
+  await markReviewed(venueKey, diffFields(before, draft.values).map(c => c.key));
+  await fs.remove(draftFile(venueKey));
+  return { draft, revision, before };
+}
@@ -0,0 +1,116 @@
+// Bundled email-client support table used by lib/compat.js, so the check
+// works offline. Condensed from caniemail.com; review it when a client
+// changes its rendering engine.
+//
+// Each feature names how to find it in rendered HTML:
+//   property (+ optional value pattern) - a CSS declaration, inline or in <style>
+//   css                                 - a pattern in <style> blocks (at-rules, selectors)
+//   element                             - an HTML element
+// and how each client family supports it: "yes", "partial" or "no".
+
+export const CLIENTS = {
+  "outlook-desktop": "Outlook desktop (Windows)",
+  gmail: "Gmail",
+  "apple-mail": "Apple Mail",
+  "outlook-com": "Outlook.com"
+};
+
+export const FEATURES = [
+  {
+    id: "css-box-shadow", label: "box-shadow", property: "box-shadow",
+    support: { "outlook-desktop": "no", gmail: "partial", "apple-mail": "yes", "outlook-com": "partial" },
+    note: "Ignored by Outlook's Word engine; Gmail drops it on some apps. Use VML (v:shadow) for Outlook."
+  },
+  {
+    id: "css-border-radius", label: "border-radius", property: "border-radius",
+    support: { "outlook-desktop": "no", gmail: "yes", "apple-mail": "yes", "outlook-com": "yes" },
+    note: "Outlook desktop shows square corners; use VML (v:roundrect) if the shape matters."
+  },
+  {
+    id: "css-max-width", label: "max-width", property: "max-width",
+    support: { "outlook-desktop": "no", gmail: "yes", "apple-mail": "yes", "outlook-com": "yes" },
+    note: "Outlook desktop ignores it; also set a fixed width attribute on tables."
+  },
+  {
+    id: "css-min-width", label: "min-width", property: "min-width",
+    support: { "outlook-desktop": "no", gmail: "yes", "apple-mail": "yes", "outlook-com": "yes" }
+  },
+  {
+    id: "css-media-queries", label: "@media queries", css: /@media\b/i,
+    support: { "outlook-desktop": "no", gmail: "partial", "apple-mail": "yes", "outlook-com": "partial" },
+    note: "Gmail only honours them for Google accounts in its own apps; the layout must work without them."
+  },
+  {
+    id: "css-font-face", label: "@font-face web fonts", css: /@font-face\b/i,
+    support: { "outlook-desktop": "no", gmail: "no", "apple-mail": "yes", "outlook-com": "no" },
+    note: "Always include a web-safe fallback in font-family."
+  },
+  {
+    id: "css-hover", label: ":hover", css: /:hover\b/i,
+    support: { "outlook-desktop": "no", gmail: "partial", "apple-mail": "yes", "outlook-com": "yes" }
+  },
+  {
+    id: "css-background-image", label: "CSS background images", property: /^background(-image)?$/, value: /url\(/i,
+    support: { "outlook-desktop": "no", gmail: "partial", "apple-mail": "yes", "outlook-com": "partial" },
+    note: "Outlook desktop needs VML backgrounds; keep text readable on the fallback colour."
+  },
+  {
+    id: "css-linear-gradient", label: "CSS gradients", property: /^background(-image)?$/, value: /gradient\(/i,
+    support: { "outlook-desktop": "no", gmail: "partial", "apple-mail": "yes", "outlook-com": "partial" }
+  },
+  {
+    id: "css-display-flex", label: "display: flex / grid", property: "display", value: /\b(inline-)?(flex|grid)\b/i,
+    support: { "outlook-desktop": "no", gmail: "partial", "apple-mail": "yes", "outlook-com": "partial" },
+    note: "Use tables for layout."
+  },
+  {
+    id: "css-position", label: "position", property: "position", value: /\b(absolute|fixed|relative|sticky)\b/i,
+    support: { "outlook-desktop": "no", gmail: "no", "apple-mail": "yes", "outlook-com": "no" }
+  },
+  {
+    id: "css-float", label: "float", property: "float",
+    support: { "outlook-desktop": "partial", gmail: "yes", "apple-mail": "yes", "outlook-com": "yes" }
+  },
+  {
+    id: "css-text-shadow", label: "text-shadow", property: "text-shadow",
+    support: { "outlook-desktop": "no", gmail: "no", "apple-mail": "yes", "outlook-com": "yes" }
+  },
+  {
+    id: "css-opacity", label: "opacity", property: "opacity",
+    support: { "outlook-desktop": "no", gmail: "yes", "apple-mail": "yes", "outlook-com": "yes" }
+  },
+  {
+    id: "css-transform", label: "transform", property: "transform",
+    support: { "outlook-desktop": "no", gmail: "no", "apple-mail": "yes", "outlook-com": "no" }
+  },
+  {
+    id: "css-animation", label: "animation / transition", property: /^(animation|transition)(-.+)?$/,
+    support: { "outlook-desktop": "no", gmail: "no", "apple-mail": "yes", "outlook-com": "no" }
+  },
+  {
+    id: "css-variables", label: "CSS custom properties", property: /^--/,
+    support: { "outlook-desktop": "no", gmail: "no", "apple-mail": "yes", "outlook-com": "no" }
+  },
+  {
+    id: "html-style", label: "<style> element", element: "style",
+    support: { "outlook-desktop": "yes", gmail: "partial", "apple-mail": "yes", "outlook-com": "yes" },
+    note: "Gmail drops <style> for non-Google accounts and over 16 KB; inlined styles still apply."
+  },
+  {
+    id: "html-svg", label: "<svg>", element: "svg",
+    support: { "outlook-desktop": "no", gmail: "no", "apple-mail": "yes", "outlook-com": "no" }
+  },
+  {
+    id: "html-video", label: "<video>", element: "video",
+    support: { "outlook-desktop": "no", gmail: "no", "apple-mail": "yes", "outlook-com": "no" }
+  },
+  {
+    id: "html-form", label: "<form>", element: "form",
+    support: { "outlook-desktop": "no", gmail: "partial", "apple-mail": "yes", "outlook-com": "no" }
+  },
+  {
+    id: "html-script", label: "<script>", element: "script",
+    support: { "outlook-desktop": "no", gmail: "no", "apple-mail": "no", "outlook-com": "no" },
+    note: "Scripts never run in email and may get the message flagged as spam."
+  }
+];
@@ -0,0 +1,27 @@
+// HTTP-aware errors. Route handlers throw HttpError for client mistakes and
+// funnel every caught error through sendError, so internal details (paths,
+// stack traces) are logged rather than echoed back to the client.
+
+export class HttpError extends Error {
+  // `details` are extra JSON fields for the response, e.g. { errors: [...] }
+  constructor(status, message, details = null) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Reply with the error's status and message, or a generic 500 for anything
+ * unexpected. Pass { text: true } for plain-text routes such as /render.
+ */
+export function sendError(res, e, { text = false } = {}) {
+  // body-parser and friends mark client errors with `expose`
+  const status = e instanceof HttpError ? e.status : (e && e.expose && e.status) || 500;
+  const message = status >= 500 ? "Internal server error" : e.message;
+  if (status >= 500) console.error(e);
+  if (text) return res.status(status).type("text/plain").send(message);
+  const details = e instanceof HttpError && status < 500 ? e.details : null;
+  return res.status(status).json({ error: message, ...details });
+}
@@ -0,0 +1,45 @@
+// Image type and dimensions read straight from file headers (PNG, JPEG, GIF),
+// so uploads are checked by content rather than by their claimed type and no
+// image library is needed.
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// JPEG start-of-frame markers carry the dimensions (C4, C8 and CC are not frames)
+const JPEG_SOF = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+function jpegSize(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    const length = buffer.readUInt16BE(offset + 2);
+    if (JPEG_SOF.has(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+/**
+ * Identify an image from its bytes.
+ * Returns { type: "png" | "jpeg" | "gif", width, height }, or null when the
+ * data is not one of those formats (or its header is truncated).
+ */
+export function imageInfo(buffer) {
+  if (buffer.length >= 24 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return { type: "png", width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length >= 10 && /^GIF8[79]a$/.test(buffer.toString("latin1", 0, 6))) {
+    return { type: "gif", width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    const size = jpegSize(buffer);
+    return size ? { type: "jpeg", ...size } : null;
+  }
+  return null;
+}
@@ -0,0 +1,39 @@
+// Append-only JSON Lines logs (audit, publish history, mail log): one JSON
+// object per line, appended as events happen and read back newest first.
+
+import fs from "fs-extra";
+import path from "path";
+import readline from "readline";
+
+/**
+ * Append `entry` to the log at `file` as one line.
+ */
+export async function appendJsonLine(file, entry) {
+  await fs.appendFile(file, JSON.stringify(entry) + "\n", { flag: "a" });
+}
+
+/**
+ * Read the entries of the log at `file` that pass `filter`, newest first, at
+ * most `limit` of them. A line that is not valid JSON (say, one cut short by a
+ * crash mid-write) is skipped with a warning rather than failing the read.
+ */
+export async function readJsonLines(file, { filter = () => true, limit } = {}) {
+  if (!await fs.pathExists(file)) return [];
+  const entries = [];
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  let number = 0;
+  for await (const line of lines) {
+    number++;
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      console.warn(`[${path.basename(file)}] skipping line ${number}: not valid JSON`);
+      continue;
+    }
+    if (filter(entry)) entries.push(entry);
+  }
+  entries.reverse();
+  return limit ? entries.slice(0, limit) : entries;
+}
@@ -0,0 +1,21 @@
+// Allowlist for every key that ends up in a filesystem path: venue, template
+// and schema keys, revision ids. Anything else (dots, slashes, encoded
+// traversal, empty strings) is rejected before it reaches the disk.
+
+import { HttpError } from "./errors.js";
+
+export const KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+export function isValidKey(key) {
+  return typeof key === "string" && KEY_PATTERN.test(key);
+}
+
+/**
+ * Return `key` unchanged if it matches KEY_PATTERN, else throw a 400.
+ */
+export function assertKey(key, kind = "key") {
+  if (!isValidKey(key)) {
+    throw new HttpError(400, `Invalid ${kind} key: use 1-64 letters, digits, '-' or '_'`);
+  }
+  return key;
+}
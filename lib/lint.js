@@ -0,0 +1,432 @@
+// Template linter: cross-checks the variables each Handlebars template
+// references against the schema fields and the venue data that feed it.
+// Handlebars renders unknown variables as empty strings, so these mistakes
+// are otherwise invisible until a guest receives the email.
+
+import Handlebars from "handlebars";
+import { imageNameFromUrl, loadImageInfo, toAssetPath } from "./assets.js";
+import { listTemplates, listVenues, loadPartials, loadTemplate, loadSchema, loadVenue } from "./data.js";
+import { loadStrings, translationLocales } from "./locales.js";
+import { checkPlaceholders, loadPlaceholderRegistry } from "./placeholders.js";
+import { isShown } from "./validation.js";
+
+// Block helpers that render their body against a new context
+const CONTEXT_HELPERS = new Set(["each", "with"]);
+
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+}
+
+/**
+ * Resolve a PathExpression to the root-context variable it reads, or null when
+ * it reads a block-local value (`this`, `@index`, item fields inside #each).
+ */
+function rootName(node, contextDepth) {
+  if (node.type !== "PathExpression") return null;
+  if (node.data) return node.parts[0] === "root" && node.parts[1] ? node.parts[1] : null;
+  if (!node.parts.length || node.depth < contextDepth) return null;
+  return node.parts[0];
+}
+
+// Static name of a partial call; null for {{> @partial-block}} and dynamic names
+function partialName(node) {
+  if (node.name.type === "StringLiteral") return node.name.value;
+  return node.name.type === "PathExpression" && !node.name.data ? node.name.original : null;
+}
+
+/**
+ * Partials a template calls, as [{ name, line, fallback }], and the names of
+ * the inline partials it defines. `fallback` is set for {{#> name}}...{{/name}},
+ * which renders its own body when the partial does not exist.
+ */
+export function partialCalls(ast) {
+  const calls = [];
+  const inline = new Set();
+
+  function visit(node) {
+    if (!node) return;
+    if (node.type === "PartialStatement" || node.type === "PartialBlockStatement") {
+      const name = partialName(node);
+      if (name) calls.push({ name, line: node.loc ? node.loc.start.line : null, fallback: node.type === "PartialBlockStatement" });
+    }
+    if (node.type === "DecoratorBlock" && node.path.original === "inline" && node.params[0]) {
+      inline.add(node.params[0].value);
+    }
+    (node.body || []).forEach(visit);
+    visit(node.program);
+    visit(node.inverse);
+  }
+
+  visit(ast);
+  return { calls, inline };
+}
+
+/**
+ * Partial calls in `ast` that nothing can satisfy: not in `available`, not
+ * defined inline and without a fallback body.
+ */
+export function missingPartials(ast, available) {
+  const { calls, inline } = partialCalls(ast);
+  return calls.filter(c => !c.fallback && !inline.has(c.name) && !available.has(c.name));
+}
+
+/**
+ * Names of the partials in `partials` ({ name: ast }) that `ast` uses,
+ * directly or through other partials.
+ */
+export function usedPartials(ast, partials) {
+  const used = new Set();
+  const pending = [ast];
+  while (pending.length) {
+    for (const { name } of partialCalls(pending.pop()).calls) {
+      if (partials[name] && !used.has(name)) {
+        used.add(name);
+        pending.push(partials[name]);
+      }
+    }
+  }
+  return used;
+}
+
+/**
+ * Collect the root-level variables a template reads, mapped to the first line
+ * they appear on. Partials called from the root context are followed through
+ * `partials` ({ name: ast }); what they read is reported on the calling line.
+ * Pass an `items` Map to also collect what {{#each list}} bodies read from
+ * their items: list name -> Map(item key -> line).
+ */
+export function collectVariables(ast, { helpers = Handlebars.helpers, partials = {}, following = new Set(), items = null } = {}) {
+  const refs = new Map();
+  // List looped over by the #each block at each context depth, if any
+  const eachLists = [];
+
+  function add(node, depth) {
+    const name = rootName(node, depth);
+    if (name && !refs.has(name)) refs.set(name, node.loc ? node.loc.start.line : null);
+    const list = eachLists[depth];
+    if (items && list && node.type === "PathExpression" && !node.data && node.depth === 0 && node.parts.length) {
+      if (!items.has(list)) items.set(list, new Map());
+      if (!items.get(list).has(node.parts[0])) items.get(list).set(node.parts[0], node.loc ? node.loc.start.line : null);
+    }
+  }
+
+  function visitArgs(node, depth) {
+    for (const param of node.params || []) visitExpr(param, depth);
+    for (const pair of node.hash ? node.hash.pairs : []) visitExpr(pair.value, depth);
+  }
+
+  function visitExpr(node, depth) {
+    if (node.type === "SubExpression") visitArgs(node, depth);
+    else add(node, depth);
+  }
+
+  // A partial reads the caller's context, plus any hash arguments it was
+  // given ({{> header-image src=headerImage}}), which are not root variables.
+  function followPartial(node, depth) {
+    const name = partialName(node);
+    if (!name || !partials[name] || following.has(name) || node.params.length || depth > 0) return;
+    const locals = new Set((node.hash ? node.hash.pairs : []).map(pair => pair.key));
+    following.add(name);
+    for (const key of collectVariables(partials[name], { helpers, partials, following }).keys()) {
+      if (!locals.has(key) && !refs.has(key)) refs.set(key, node.loc ? node.loc.start.line : null);
+    }
+    following.delete(name);
+  }
+
+  function visitProgram(program, depth) {
+    if (program) program.body.forEach(stmt => visitStatement(stmt, depth));
+  }
+
+  function visitStatement(node, depth) {
+    switch (node.type) {
+      case "MustacheStatement": {
+        const isCall = node.params.length > 0 || (node.hash && node.hash.pairs.length > 0);
+        const isHelper = node.path.type === "PathExpression" && helpers[node.path.original];
+        if (!isCall && !isHelper) add(node.path, depth);
+        visitArgs(node, depth);
+        break;
+      }
+      case "BlockStatement": {
+        const helper = node.path.original;
+        if (!helpers[helper]) add(node.path, depth);
+        visitArgs(node, depth);
+        const inner = CONTEXT_HELPERS.has(helper) || !helpers[helper] ? depth + 1 : depth;
+        if (inner > depth) eachLists[inner] = helper === "each" && node.params[0] ? rootName(node.params[0], depth) : null;
+        visitProgram(node.program, inner);
+        visitProgram(node.inverse, depth);
+        break;
+      }
+      case "PartialStatement":
+      case "PartialBlockStatement":
+        visitArgs(node, depth);
+        visitProgram(node.program, depth);
+        followPartial(node, depth);
+        break;
+      case "DecoratorBlock":
+        visitArgs(node, depth);
+        visitProgram(node.program, depth);
+        break;
+      default:
+        break;
+    }
+  }
+
+  visitProgram(ast, 0);
+  return refs;
+}
+
+/**
+ * The static text a template passes to {{t "..."}}, as [{ text, line }].
+ */
+export function translatedStrings(ast) {
+  const strings = [];
+
+  function visit(node) {
+    if (!node || typeof node !== "object") return;
+    const isCall = node.type === "MustacheStatement" || node.type === "SubExpression" || node.type === "BlockStatement";
+    if (isCall && node.path.original === "t" && node.params[0]?.type === "StringLiteral") {
+      strings.push({ text: node.params[0].value, line: node.loc ? node.loc.start.line : null });
+    }
+    (node.body || []).forEach(visit);
+    (node.params || []).forEach(visit);
+    (node.hash ? node.hash.pairs : []).forEach(pair => visit(pair.value));
+    visit(node.program);
+    visit(node.inverse);
+  }
+
+  visit(ast);
+  return strings;
+}
+
+/**
+ * Every value in a venue with its schema field (if declared), descending into
+ * list items: [{ key, value, field }], where list item keys read
+ * "list.<index>.<itemKey>".
+ */
+function venueValues(data, declared) {
+  const values = [];
+  for (const [key, value] of Object.entries(data)) {
+    const field = declared.get(key);
+    if (!Array.isArray(value)) {
+      values.push({ key, value, field });
+      continue;
+    }
+    value.forEach((item, index) => {
+      for (const [itemKey, itemValue] of Object.entries(item && typeof item === "object" ? item : {})) {
+        const itemField = (field?.itemFields || []).find(f => f.key === itemKey);
+        values.push({ key: `${key}.${index}.${itemKey}`, value: itemValue, field: itemField });
+      }
+    });
+  }
+  return values;
+}
+
+/**
+ * Lint every template (following the partials it uses) against its schema,
+ * every venue and the booking-system placeholder registry. Issues found in a
+ * partial are reported with template set to "partials/<name>".
+ * Returns { ok, errors, warnings, issues }, where each issue is
+ * { level, code, template, venue, key, line, message }.
+ */
+export async function lintTemplates() {
+  const issues = [];
+  const report = (level, code, fields) => issues.push({
+    level, code, template: null, venue: null, key: null, line: null, ...fields
+  });
+
+  const registry = await loadPlaceholderRegistry();
+  const templateKeys = await listTemplates();
+  const venueKeys = await listVenues();
+  const venues = {};
+  for (const venueKey of venueKeys) venues[venueKey] = await loadVenue(venueKey);
+
+  const schemas = {};
+  for (const template of templateKeys) schemas[template] = await loadSchema(template);
+
+  // Fields declared by any schema count: shared fields such as addressDetails
+  // are declared once (in confirmation.json) but used by every template.
+  const declared = new Map();
+  for (const schema of Object.values(schemas)) {
+    for (const field of schema ? schema.fields : []) declared.set(field.key, field);
+  }
+
+  const reportPlaceholders = (template, source) => {
+    for (const issue of checkPlaceholders({ source }, registry).issues) {
+      report(issue.level, issue.code, { template, key: issue.token, line: issue.line, message: issue.message });
+    }
+  };
+  const catalogs = {};
+  for (const locale of await translationLocales()) catalogs[locale] = await loadStrings(locale);
+  const reportUntranslated = (template, ast) => {
+    const seen = new Set();
+    for (const { text, line } of translatedStrings(ast)) {
+      if (seen.has(text)) continue;
+      seen.add(text);
+      for (const [locale, strings] of Object.entries(catalogs)) {
+        if (typeof strings[text] === "string" && strings[text] !== "") continue;
+        report("warning", "untranslated-string", {
+          template, key: text, line,
+          message: `"${text}" has no ${locale} translation in data/translations/${locale}.json; it renders in the default locale`
+        });
+      }
+    }
+  };
+  const reportMissingPartials = (template, ast) => {
+    for (const call of missingPartials(ast, partialNames)) {
+      report("error", "missing-partial", {
+        template, line: call.line,
+        message: `Partial "${call.name}" does not exist in data/partials`
+      });
+    }
+  };
+
+  const partialSources = await loadPartials();
+  const partialNames = new Set(Object.keys(partialSources));
+  const partials = {};
+  for (const [name, source] of Object.entries(partialSources)) {
+    const template = `partials/${name}`;
+    try {
+      partials[name] = Handlebars.parse(source);
+    } catch (e) {
+      report("error", "parse-error", { template, message: e.message });
+      continue;
+    }
+    reportPlaceholders(template, source);
+    reportMissingPartials(template, partials[name]);
+    reportUntranslated(template, partials[name]);
+  }
+
+  const usedAnywhere = new Set();
+  for (const template of templateKeys) {
+    const source = await loadTemplate(template);
+    let ast;
+    try {
+      ast = Handlebars.parse(source);
+    } catch (e) {
+      report("error", "parse-error", { template, message: e.message });
+      continue;
+    }
+    const items = new Map();
+    const refs = collectVariables(ast, { partials, items });
+
+    reportPlaceholders(template, source);
+    reportMissingPartials(template, ast);
+    reportUntranslated(template, ast);
+
+    if (!schemas[template]) {
+      report("warning", "missing-schema", { template, message: `No schema found at data/schemas/${template}.json` });
+    }
+
+    for (const [key, line] of refs) {
+      usedAnywhere.add(key);
+      if (!declared.has(key)) {
+        report("error", "undeclared-variable", {
+          template, key, line,
+          message: `{{${key}}} is not declared in any schema and will render as an empty string`
+        });
+        continue;
+      }
+      // An unset boolean is false and an unset list empty
+      const field = declared.get(key);
+      if (field.type === "boolean" || field.type === "list") continue;
+      for (const venue of venueKeys) {
+        if (isEmpty(venues[venue][key]) && isShown(field, venues[venue])) {
+          report("error", "missing-venue-value", {
+            template, venue, key, line,
+            message: `Venue "${venue}" has no value for {{${key}}}`
+          });
+        }
+      }
+    }
+
+    for (const [list, itemRefs] of items) {
+      const field = declared.get(list);
+      if (!field || field.type !== "list") continue;
+      const itemKeys = new Set((field.itemFields || []).map(f => f.key));
+      for (const [key, line] of itemRefs) {
+        if (!itemKeys.has(key)) {
+          report("error", "undeclared-item-field", {
+            template, key: `${list}.${key}`, line,
+            message: `{{${key}}} inside {{#each ${list}}} is not one of the list's itemFields`
+          });
+        }
+      }
+    }
+  }
+
+  // Image fields: schema imageWidth is the width="..." the templates display it at
+  for (const [venue, data] of Object.entries(venues)) {
+    for (const { key, value, field } of venueValues(data, declared)) {
+      if (toAssetPath(value)) {
+        report("warning", "local-asset-url", {
+          venue, key,
+          message: `Venue "${venue}" stores ${key} as a localhost URL; use ${toAssetPath(value)} (npm run migrate:assets)`
+        });
+      }
+      const imageName = imageNameFromUrl(value);
+      if (!imageName) continue;
+      const image = await loadImageInfo(imageName);
+      const expected = field && field.imageWidth;
+      if (!image) {
+        report("error", "missing-image", { venue, key, message: `Venue "${venue}" uses ${value} for ${key}, but there is no such image` });
+      } else if (expected && image.width !== expected) {
+        report("warning", "image-width", {
+          venue, key,
+          message: `${value} (${key}) is ${image.width}px wide; the templates show it at ${expected}px`
+        });
+      }
+    }
+  }
+
+  for (const [template, schema] of Object.entries(schemas)) {
+    for (const field of schema ? schema.fields : []) {
+      if (!usedAnywhere.has(field.key)) {
+        report("warning", "unused-field", {
+          template, key: field.key,
+          message: `Schema field "${field.key}" is not used by any template`
+        });
+      }
+    }
+  }
+
+  const errors = issues.filter(i => i.level === "error").length;
+  return { ok: errors === 0, errors, warnings: issues.length - errors, issues };
+}
+
+/**
+ * The placeholders each template uses, counting those that come from its
+ * partials, as { templateKey: { used, issues } }. Issues are for the template
+ * source only; lintTemplates reports the partials' own.
+ */
+export async function templatePlaceholders(registry) {
+  const partialSources = await loadPartials();
+  const partials = {};
+  for (const [name, source] of Object.entries(partialSources)) {
+    try {
+      partials[name] = Handlebars.parse(source);
+    } catch {
+      // reported by lintTemplates
+    }
+  }
+
+  const templates = {};
+  for (const templateKey of await listTemplates()) {
+    const source = await loadTemplate(templateKey);
+    const report = checkPlaceholders({ source }, registry);
+    const used = new Map(report.used.map(p => [p.token, p]));
+    let ast = null;
+    try {
+      ast = Handlebars.parse(source);
+    } catch {
+      // reported by lintTemplates
+    }
+    for (const name of ast ? usedPartials(ast, partials) : []) {
+      for (const p of checkPlaceholders({ source: partialSources[name] }, registry).used) {
+        const seen = used.get(p.token);
+        used.set(p.token, seen ? { ...seen, count: seen.count + p.count } : p);
+      }
+    }
+    templates[templateKey] = { used: [...used.values()], issues: report.issues };
+  }
+  return templates;
+}
@@ -0,0 +1,68 @@
+// Locales an email can be rendered in. data/locales.json names them and the
+// default; everything is written in the default locale first.
+//
+// Two things get translated:
+// - static template text, through {{t "Text"}} and the catalogs in
+//   data/translations/<locale>.json ({ "Text": "translation" });
+// - venue values, through the `translations` object of a venue or brand layer
+//   ({ zh: { messageText: "..." } }, see localizeValues in lib/data.js).
+// Anything without a translation falls back to the default locale.
+
+import fs from "fs-extra";
+import { dataPath } from "./data.js";
+import { HttpError } from "./errors.js";
+
+const LOCALES_FILE = dataPath("locales.json");
+
+// {name} markers in a {{t}} string, filled from the helper's hash arguments
+const PARAM = /\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+/**
+ * { default, locales: { code: label } }. Without data/locales.json there is
+ * one locale, English.
+ */
+export async function loadLocales() {
+  if (!await fs.pathExists(LOCALES_FILE)) return { default: "en", locales: { en: "English" } };
+  return fs.readJson(LOCALES_FILE);
+}
+
+/**
+ * Validate a requested locale; undefined means the default. 400 for locales
+ * not listed in data/locales.json.
+ */
+export async function assertLocale(locale) {
+  const config = await loadLocales();
+  if (locale === undefined || locale === null || locale === "") return config.default;
+  if (typeof locale !== "string" || !Object.hasOwn(config.locales, locale)) {
+    throw new HttpError(400, `Unknown locale "${locale}": use ${Object.keys(config.locales).join(", ")}`);
+  }
+  return locale;
+}
+
+/**
+ * The static-text catalog for `locale` ({} for the default locale or when
+ * the locale has no catalog yet).
+ */
+export async function loadStrings(locale) {
+  const { default: defaultLocale } = await loadLocales();
+  if (locale === defaultLocale) return {};
+  const file = dataPath("translations", `${locale}.json`);
+  return (await fs.pathExists(file)) ? fs.readJson(file) : {};
+}
+
+/**
+ * `text` looked up in `strings`, with {name} markers replaced by `params`.
+ */
+export function translate(strings, text, params = {}) {
+  const translated = typeof strings[text] === "string" && strings[text] !== "" ? strings[text] : text;
+  return String(translated).replace(PARAM, (marker, name) => (Object.hasOwn(params, name) ? String(params[name] ?? "") : marker));
+}
+
+/**
+ * Codes of the locales venue values can be translated into: all but the
+ * default.
+ */
+export async function translationLocales() {
+  const config = await loadLocales();
+  return Object.keys(config.locales).filter(code => code !== config.default);
+}
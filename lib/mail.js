@@ -0,0 +1,96 @@
+// Test emails: a rendered template sent as a real multipart message (HTML plus
+// its plain-text part) so it can be checked in Gmail, Outlook and friends.
+//
+// SMTP settings come from the environment:
+//   SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ("true" for TLS from the start,
+//   usually port 465), SMTP_USER, SMTP_PASS, MAIL_FROM
+// Test emails only go to TEST_EMAIL_ALLOWLIST: comma-separated addresses,
+// or "@domain" for a whole domain.
+//
+// Every delivery is appended to data/mail-log.jsonl:
+//   { at, actor, venue, template, locale, to, subject, status: "sent" | "failed",
+//     messageId?, response?, rejected?, error? }
+
+import nodemailer from "nodemailer";
+import { dataPath } from "./data.js";
+import { HttpError } from "./errors.js";
+import { appendJsonLine, readJsonLines } from "./jsonl.js";
+
+const MAIL_LOG_FILE = dataPath("mail-log.jsonl");
+const MAX_RECIPIENTS = 10;
+const EMAIL = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+let transport = null;
+
+function smtpSettings() {
+  const { SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS } = process.env;
+  if (!SMTP_HOST) return null;
+  return {
+    host: SMTP_HOST,
+    port: Number(SMTP_PORT) || 587,
+    secure: SMTP_SECURE === "true",
+    auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS || "" } : undefined
+  };
+}
+
+function allowlist() {
+  return (process.env.TEST_EMAIL_ALLOWLIST || "").split(",").map(a => a.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * What the editor needs to offer "Send test": { configured, allowlist }.
+ */
+export function mailStatus() {
+  return { configured: !!smtpSettings() && allowlist().length > 0, allowlist: allowlist() };
+}
+
+/**
+ * Validate test recipients (an array or comma-separated string): 400 unless
+ * every address is on TEST_EMAIL_ALLOWLIST. Returns the addresses.
+ */
+export function assertTestRecipients(recipients) {
+  const list = (Array.isArray(recipients) ? recipients : String(recipients ?? "").split(","))
+    .map(r => String(r).trim()).filter(Boolean);
+  if (!list.length) throw new HttpError(400, "Give at least one recipient");
+  if (list.length > MAX_RECIPIENTS) throw new HttpError(400, `At most ${MAX_RECIPIENTS} recipients`);
+  const allowed = allowlist();
+  if (!allowed.length) throw new HttpError(503, "Test emails are disabled: TEST_EMAIL_ALLOWLIST is not set");
+  for (const address of list) {
+    if (!EMAIL.test(address)) throw new HttpError(400, `"${address}" is not an email address`);
+    const lower = address.toLowerCase();
+    if (!allowed.some(a => (a.startsWith("@") ? lower.endsWith(a) : lower === a))) {
+      throw new HttpError(400, `${address} is not on the test allowlist`);
+    }
+  }
+  return [...new Set(list)];
+}
+
+/**
+ * Send one test email. `meta` ({ actor, venue, template, locale }) goes into
+ * the mail log with the outcome. Resolves to the log entry whether or not
+ * the SMTP server accepted it; 503 when SMTP is not configured.
+ */
+export async function sendTestEmail({ to, subject, html, text }, meta = {}) {
+  const settings = smtpSettings();
+  if (!settings) throw new HttpError(503, "Test emails are disabled: SMTP_HOST is not set");
+  transport = transport || nodemailer.createTransport(settings);
+  const from = process.env.MAIL_FROM || settings.auth?.user || `email-builder@${settings.host}`;
+  const entry = { at: new Date().toISOString(), actor: meta.actor || "system", venue: meta.venue, template: meta.template, locale: meta.locale, to, subject };
+  try {
+    const info = await transport.sendMail({ from, to, subject, html, text });
+    Object.assign(entry, { status: info.rejected.length ? "failed" : "sent", messageId: info.messageId, response: info.response });
+    if (info.rejected.length) entry.rejected = info.rejected;
+  } catch (e) {
+    Object.assign(entry, { status: "failed", error: e.response || e.message });
+  }
+  await appendJsonLine(MAIL_LOG_FILE, entry);
+  return entry;
+}
+
+/**
+ * Read the mail log, newest first. Filters: venue, venues (any of), limit.
+ */
+export async function readMailLog({ venue, venues, limit } = {}) {
+  const filter = entry => (!venue || entry.venue === venue) && (!venues || venues.includes(entry.venue));
+  return readJsonLines(MAIL_LOG_FILE, { filter, limit });
+}
@@ -0,0 +1,184 @@
+// External booking-system placeholders ([FULLNAME], [DATE], ...).
+// These are left untouched by Handlebars and filled in downstream, so the
+// registry in data/placeholders.json is the only record of which tokens the
+// booking system understands.
+
+import fs from "fs-extra";
+import path from "path";
+import { DATA_DIR } from "./data.js";
+
+const REGISTRY_FILE = path.join(DATA_DIR, "placeholders.json");
+
+// Outlook conditional comments use the same bracket syntax
+const CONDITIONAL_COMMENT = /<!--\[if[^\]]*\]>|<!\[endif\]-->|\[endif\]/gi;
+const STYLE_BLOCK = /<style[\s\S]*?<\/style>/gi;
+const BRACKET_TOKEN = /\[([A-Za-z][A-Za-z0-9_]*)\]/g;
+const MUSTACHE = /\{\{\{?\s*([^}]*?)\s*\}?\}\}/g;
+
+async function readRegistryFile() {
+  const raw = await fs.readFile(REGISTRY_FILE, "utf8");
+  return JSON.parse(raw);
+}
+
+export async function loadPlaceholderRegistry() {
+  return (await readRegistryFile()).placeholders || [];
+}
+
+// Named sample bookings ("long name, 12 covers, with notes", ...) for preview
+export async function loadSampleProfiles() {
+  return (await readRegistryFile()).sampleProfiles || {};
+}
+
+function lineAt(text, index) {
+  return text.slice(0, index).split("\n").length;
+}
+
+function editDistance(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = tmp;
+    }
+  }
+  return prev[b.length];
+}
+
+function closestToken(token, known) {
+  let best = null;
+  for (const candidate of known) {
+    const distance = editDistance(token, candidate);
+    if (distance <= 2 && (!best || distance < best.distance)) best = { candidate, distance };
+  }
+  return best ? best.candidate : null;
+}
+
+function strip(text) {
+  return text.replace(STYLE_BLOCK, m => m.replace(/[^\n]/g, " ")).replace(CONDITIONAL_COMMENT, m => " ".repeat(m.length));
+}
+
+/**
+ * Scan bracket placeholders in `text` (template source or rendered HTML).
+ * Line numbers are only reported for source, where they mean something.
+ * Returns { used: Map(token -> count), issues }.
+ */
+function scanTokens(text, registry, withLines) {
+  const known = new Map(registry.map(p => [p.token, p]));
+  const used = new Map();
+  const issues = [];
+  const body = strip(text);
+
+  for (const match of body.matchAll(BRACKET_TOKEN)) {
+    const token = match[1];
+    const line = withLines ? lineAt(body, match.index) : null;
+    if (known.has(token)) {
+      used.set(token, (used.get(token) || 0) + 1);
+    } else if (known.has(token.toUpperCase())) {
+      issues.push({
+        level: "error", code: "placeholder-case", token, line,
+        message: `[${token}] must be written in upper case as [${token.toUpperCase()}]`
+      });
+    } else if (token === token.toUpperCase()) {
+      const suggestion = closestToken(token, known.keys());
+      issues.push({
+        level: "error", code: "unknown-placeholder", token, line, suggestion,
+        message: `[${token}] is not a booking-system placeholder${suggestion ? `; did you mean [${suggestion}]?` : ""}`
+      });
+    }
+  }
+  return { used, issues };
+}
+
+/**
+ * Find Handlebars/bracket mix-ups in template source: booking values written
+ * as {{FULLNAME}}, brackets wrapped around or inside mustaches, and tokens
+ * missing their brackets in an href.
+ */
+function scanSource(source, registry) {
+  const known = new Set(registry.map(p => p.token));
+  const issues = [];
+
+  for (const match of source.matchAll(MUSTACHE)) {
+    const expr = match[1];
+    const line = lineAt(source, match.index);
+    const bracketed = expr.match(/^\[([A-Za-z0-9_]+)\]$/);
+    const name = bracketed ? bracketed[1] : expr;
+    if (known.has(name.toUpperCase())) {
+      issues.push({
+        level: "error", code: "placeholder-mixup", token: name.toUpperCase(), line,
+        message: `${match[0]} is a booking-system value; write it as [${name.toUpperCase()}] so the booking system can fill it`
+      });
+    }
+  }
+
+  for (const match of source.matchAll(/\[\s*\{\{[^}]*\}\}\s*\]/g)) {
+    issues.push({
+      level: "error", code: "placeholder-mixup", token: null, line: lineAt(source, match.index),
+      message: `${match[0]} mixes bracket and Handlebars syntax; use one or the other`
+    });
+  }
+
+  for (const match of source.matchAll(/href="([A-Z][A-Z0-9_]*)"/g)) {
+    if (known.has(match[1])) {
+      issues.push({
+        level: "warning", code: "placeholder-brackets", token: match[1], line: lineAt(source, match.index),
+        message: `href="${match[1]}" is missing its brackets; the booking system only replaces [${match[1]}]`
+      });
+    }
+  }
+  return issues;
+}
+
+/**
+ * Check a template's placeholders. `source` is the Handlebars template and
+ * `html` (optional) its rendered output, which also carries any tokens that
+ * came from venue data. Returns { used: [{ token, description, sample, count }], issues }.
+ */
+export function checkPlaceholders({ source, html }, registry) {
+  const byToken = new Map(registry.map(p => [p.token, p]));
+  const scanned = html
+    ? scanTokens(html, registry, false)
+    : scanTokens(source.replace(MUSTACHE, m => m.replace(/[^\n]/g, " ")), registry, true);
+  const issues = [...scanSource(source, registry), ...scanned.issues];
+
+  if (html && /\{\{[^}]*\}\}/.test(html)) {
+    issues.push({
+      level: "warning", code: "unrendered-handlebars", token: null, line: null,
+      message: "Rendered output still contains {{...}}; check venue values for Handlebars syntax"
+    });
+  }
+
+  const used = [...scanned.used].map(([token, count]) => ({ ...byToken.get(token), count }));
+  return { used, issues };
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Build the token -> value map for a sample booking: the registry's sample
+ * values, overlaid with a named profile and then any explicit values.
+ */
+export function resolveSampleBooking(registry, profiles, { profile, values } = {}) {
+  const booking = Object.fromEntries(registry.map(p => [p.token, p.sample ?? ""]));
+  if (profile && profiles[profile]) Object.assign(booking, profiles[profile].values);
+  return { ...booking, ...(values || {}) };
+}
+
+/**
+ * Replace [TOKEN] placeholders in rendered HTML with sample booking values.
+ * Only used for preview; exported HTML must keep the raw placeholders.
+ */
+export function applySampleBooking(html, booking) {
+  return html.replace(BRACKET_TOKEN, (match, token) =>
+    Object.prototype.hasOwnProperty.call(booking, token) ? escapeHtml(booking[token]) : match
+  );
+}
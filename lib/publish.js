@@ -0,0 +1,182 @@
+// Publishing rendered emails straight to the booking system instead of pasting
+// them from /render. data/publishers.json configures where each venue goes:
+//   {
+//     "publishers": {
+//       "booking": { "adapter": "http", "url": "https://...", "headers": { "Authorization": "Bearer ${BOOKING_TOKEN}" },
+//                    "retries": 2, "retryDelayMs": 1000 },
+//       "outbox": { "adapter": "folder", "path": "/mnt/booking-outbox" }
+//     },
+//     "venues": {
+//       "Dunedin": { "publisher": "booking", "target": { "venueId": "dn-01" } }
+//     }
+//   }
+// Adapters live in lib/publishers.js. Every attempted delivery (not dry runs)
+// is appended to data/publish-history.jsonl:
+//   { at, actor, venue, template, locale, publisher, adapter, destination,
+//     sha256, status: "published" | "failed", attempts, detail?, error? }
+
+import crypto from "crypto";
+import fs from "fs-extra";
+import { checkAssetUrls, environmentName } from "./assets.js";
+import { resolveFilter } from "./bundle.js";
+import { dataPath, listTemplates, loadVenue, loadVenueMeta, requireTemplate } from "./data.js";
+import { HttpError } from "./errors.js";
+import { appendJsonLine, readJsonLines } from "./jsonl.js";
+import { assertKey } from "./keys.js";
+import { assertLocale, loadLocales } from "./locales.js";
+import { ADAPTERS, PublishError } from "./publishers.js";
+import { renderEmail } from "./render.js";
+import { htmlToText } from "./text.js";
+
+const PUBLISHERS_FILE = dataPath("publishers.json");
+const HISTORY_FILE = dataPath("publish-history.jsonl");
+
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+
+export async function loadPublishConfig() {
+  if (!await fs.pathExists(PUBLISHERS_FILE)) return { publishers: {}, venues: {} };
+  const config = await fs.readJson(PUBLISHERS_FILE);
+  return { publishers: config.publishers || {}, venues: config.venues || {} };
+}
+
+async function savePublishConfig(config) {
+  await fs.writeJson(PUBLISHERS_FILE, config, { spaces: 2 });
+}
+
+/**
+ * Problems with data/publishers.json, as { publisher?, venue?, message }.
+ */
+export function checkPublishConfig(config) {
+  const problems = [];
+  for (const [name, settings] of Object.entries(config.publishers)) {
+    const adapter = ADAPTERS[settings?.adapter];
+    if (!adapter) {
+      problems.push({ publisher: name, message: `Unknown adapter "${settings?.adapter}": use ${Object.keys(ADAPTERS).join(", ")}` });
+      continue;
+    }
+    for (const message of adapter.check(settings)) problems.push({ publisher: name, message });
+  }
+  for (const [venue, entry] of Object.entries(config.venues)) {
+    if (!config.publishers[entry?.publisher]) problems.push({ venue, message: `Unknown publisher "${entry?.publisher}"` });
+  }
+  return problems;
+}
+
+/**
+ * The publisher a venue is configured for:
+ * { publisher, adapter, settings, target }, or null when it has none.
+ * 400 when the configuration for it is broken.
+ */
+export async function venuePublisher(venueKey, config) {
+  config = config || await loadPublishConfig();
+  const entry = config.venues[venueKey];
+  if (!entry) return null;
+  const settings = config.publishers[entry.publisher];
+  const problems = checkPublishConfig({ publishers: settings ? { [entry.publisher]: settings } : {}, venues: { [venueKey]: entry } });
+  if (problems.length) {
+    throw new HttpError(400, `Publisher for ${venueKey} is misconfigured: ${problems.map(p => p.message).join("; ")}`);
+  }
+  return { publisher: entry.publisher, adapter: settings.adapter, settings, target: entry.target || {} };
+}
+
+/**
+ * Keep a venue's publish target after it is renamed.
+ */
+export async function renamePublishTarget(fromKey, toKey) {
+  if (!await fs.pathExists(PUBLISHERS_FILE)) return;
+  const config = await fs.readJson(PUBLISHERS_FILE);
+  if (!config.venues?.[fromKey]) return;
+  config.venues[toKey] = config.venues[fromKey];
+  delete config.venues[fromKey];
+  await savePublishConfig(config);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// One delivery, retried with exponential backoff while the error is retryable
+async function sendWithRetries(adapter, settings, target, email) {
+  const retries = Number.isInteger(settings.retries) ? settings.retries : DEFAULT_RETRIES;
+  const delay = settings.retryDelayMs ?? DEFAULT_RETRY_DELAY_MS;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return { attempts: attempt, detail: await adapter.send(settings, target, email) };
+    } catch (e) {
+      const error = e instanceof PublishError ? e : new PublishError(e.message);
+      if (!error.retryable || attempt > retries) {
+        error.attempts = attempt;
+        throw error;
+      }
+      await sleep(delay * 2 ** (attempt - 1));
+    }
+  }
+}
+
+/**
+ * Render a venue's emails and hand each to its publisher. `templates` and
+ * `locales` narrow it down as for release bundles (every template, default
+ * locale when omitted). With `dryRun` nothing is sent or recorded; the result
+ * shows where each email would go. One failed email does not stop the rest.
+ * Returns { venue, publisher, adapter, dryRun, results: [{ template, locale,
+ * destination, sha256, warnings, status: "dry-run" | "published" | "failed",
+ * attempts?, detail?, error? }] }.
+ */
+export async function publishVenue(venueKey, { templates, locales, dryRun = false, actor } = {}) {
+  const target = await venuePublisher(venueKey);
+  if (!target) throw new HttpError(400, `No publisher configured for ${venueKey} in data/publishers.json`);
+  const { pendingReview = [] } = await loadVenueMeta(venueKey);
+  if (pendingReview.length) {
+    throw new HttpError(409, `Venue ${venueKey} has cloned fields awaiting review: ${pendingReview.join(", ")}`);
+  }
+  const templateKeys = await resolveFilter(templates, t => requireTemplate(assertKey(t, "template"))) || await listTemplates();
+  const { default: defaultLocale } = await loadLocales();
+  const localeCodes = await resolveFilter(locales, assertLocale) || [defaultLocale];
+
+  const adapter = ADAPTERS[target.adapter];
+  const results = [];
+  for (const locale of localeCodes) {
+    const vars = await loadVenue(venueKey, { locale });
+    for (const template of templateKeys) {
+      const { html, placeholders } = await renderEmail(template, vars, { locale });
+      const email = {
+        venue: venueKey,
+        template,
+        locale,
+        name: locale === defaultLocale ? template : `${template}.${locale}`,
+        html,
+        text: htmlToText(html),
+        sha256: crypto.createHash("sha256").update(html).digest("hex"),
+        placeholders: placeholders.used.map(p => p.token),
+        environment: environmentName()
+      };
+      const result = {
+        template,
+        locale,
+        destination: adapter.destination(target.settings, target.target, email),
+        sha256: email.sha256,
+        warnings: [...placeholders.issues, ...checkAssetUrls(html)].map(issue => issue.message)
+      };
+      results.push(result);
+      if (dryRun) {
+        result.status = "dry-run";
+        continue;
+      }
+      try {
+        Object.assign(result, { status: "published" }, await sendWithRetries(adapter, target.settings, target.target, email));
+      } catch (e) {
+        Object.assign(result, { status: "failed", attempts: e.attempts, error: e.message });
+      }
+      const { warnings, ...entry } = result;
+      await appendJsonLine(HISTORY_FILE, { at: new Date().toISOString(), actor: actor || "system", venue: venueKey, publisher: target.publisher, adapter: target.adapter, ...entry });
+    }
+  }
+  return { venue: venueKey, publisher: target.publisher, adapter: target.adapter, dryRun, results };
+}
+
+/**
+ * Read publish history, newest first. Filters: venue, venues (any of), limit.
+ */
+export async function readPublishHistory({ venue, venues, limit } = {}) {
+  const filter = entry => (!venue || entry.venue === venue) && (!venues || venues.includes(entry.venue));
+  return readJsonLines(HISTORY_FILE, { filter, limit });
+}
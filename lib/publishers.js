@@ -0,0 +1,162 @@
+// Publisher adapters: how a rendered email reaches the booking system. Each
+// adapter implements
+//   check(settings)                 -> problems with a publisher's settings (strings)
+//   destination(settings, target, email) -> where the email goes, for dry runs and history
+//   send(settings, target, email)   -> delivers it; resolves to a short detail
+//                                      string, throws PublishError on failure
+// where `settings` is the publisher's entry in data/publishers.json, `target`
+// the venue's target object and `email` the payload built in lib/publish.js
+// ({ venue, template, locale, name, html, text, sha256, placeholders, environment }).
+//
+// String settings may refer to environment variables as ${NAME}, so tokens
+// stay out of the data directory.
+
+import fs from "fs-extra";
+import { request as httpRequest } from "http";
+import { request as httpsRequest } from "https";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+const ENV_REF = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+// Statuses worth another attempt: timeouts, rate limits and server errors
+const RETRY_STATUSES = [408, 429];
+
+export class PublishError extends Error {
+  // `retryable`: whether another attempt might succeed
+  constructor(message, { retryable = true } = {}) {
+    super(message);
+    this.name = "PublishError";
+    this.retryable = retryable;
+  }
+}
+
+function expandEnv(value) {
+  return String(value).replace(ENV_REF, (_ref, name) => process.env[name] ?? "");
+}
+
+function missingEnv(value) {
+  return [...String(value).matchAll(ENV_REF)].map(m => m[1]).filter(name => !process.env[name]);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// ----- HTTP / webhook -----
+// settings: { url, method?: "POST" | "PUT", headers?: {}, timeoutMs? }
+// target: any object, sent along as `target`; target.url replaces settings.url.
+
+function httpUrl(settings, target) {
+  return expandEnv(target.url || settings.url);
+}
+
+// One request through node's http/https (global fetch needs Node 18);
+// resolves to { status, body } whatever the status, rejects on network
+// errors and timeouts
+function sendRequest(url, { method, headers, body, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const parsed = new URL(url);
+    const request = (parsed.protocol === "https:" ? httpsRequest : httpRequest)(parsed, {
+      method,
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) }
+    }, response => {
+      const chunks = [];
+      response.on("data", chunk => chunks.push(chunk));
+      response.on("end", () => resolve({ status: response.statusCode, body: Buffer.concat(chunks).toString("utf8") }));
+      response.on("error", reject);
+    });
+    request.setTimeout(timeoutMs, () => request.destroy(Object.assign(new Error("Request timed out"), { code: "ETIMEDOUT" })));
+    request.on("error", reject);
+    request.end(body);
+  });
+}
+
+const http = {
+  check(settings) {
+    const problems = [];
+    if (typeof settings.url !== "string" || !/^https?:\/\//.test(settings.url)) problems.push("url must be an http:// or https:// URL");
+    if (settings.method !== undefined && !["POST", "PUT"].includes(settings.method)) problems.push("method must be POST or PUT");
+    if (settings.headers !== undefined && !isObject(settings.headers)) problems.push("headers must be an object");
+    for (const value of [settings.url, ...Object.values(settings.headers || {})]) {
+      for (const name of missingEnv(value)) problems.push(`environment variable ${name} is not set`);
+    }
+    return problems;
+  },
+
+  destination(settings, target) {
+    return `${settings.method || "POST"} ${httpUrl(settings, target)}`;
+  },
+
+  async send(settings, target, email) {
+    const headers = { "Content-Type": "application/json" };
+    for (const [name, value] of Object.entries(settings.headers || {})) headers[name] = expandEnv(value);
+    let response;
+    try {
+      response = await sendRequest(httpUrl(settings, target), {
+        method: settings.method || "POST",
+        headers,
+        body: JSON.stringify({ ...email, target }),
+        timeoutMs: settings.timeoutMs || 10000
+      });
+    } catch (e) {
+      throw new PublishError(e.code === "ETIMEDOUT" ? "Request timed out" : `Request failed: ${e.code || e.message}`);
+    }
+    if (response.status >= 200 && response.status < 300) return `HTTP ${response.status}`;
+    const body = response.body.slice(0, 200);
+    throw new PublishError(`HTTP ${response.status}${body ? `: ${body}` : ""}`, {
+      retryable: response.status >= 500 || RETRY_STATUSES.includes(response.status)
+    });
+  }
+};
+
+// ----- Drop folder -----
+// settings: { path } (relative to the project root), e.g. a mounted SFTP share
+// the booking system collects from. target: { dir? }, the venue's subfolder
+// (the venue key by default). Each email is written as <name>.html, <name>.txt
+// and <name>.json (everything but the content) via a temporary file and a
+// rename, so a collector never picks up half a file.
+
+function folderPath(settings, target, email) {
+  return path.resolve(ROOT_DIR, expandEnv(settings.path), target.dir || email.venue);
+}
+
+async function writeAtomic(file, content) {
+  const temp = path.join(path.dirname(file), `.${path.basename(file)}.tmp`);
+  await fs.writeFile(temp, content);
+  await fs.rename(temp, file);
+}
+
+const folder = {
+  check(settings) {
+    const problems = [];
+    if (typeof settings.path !== "string" || !settings.path.trim()) problems.push("path must be a directory");
+    else for (const name of missingEnv(settings.path)) problems.push(`environment variable ${name} is not set`);
+    return problems;
+  },
+
+  // relative to the project root when inside it, so history does not show server paths
+  destination(settings, target, email) {
+    const file = path.join(folderPath(settings, target, email), `${email.name}.html`);
+    const relative = path.relative(ROOT_DIR, file);
+    return relative.startsWith("..") || path.isAbsolute(relative) ? file : relative;
+  },
+
+  async send(settings, target, email) {
+    const dir = folderPath(settings, target, email);
+    const { html, text, ...meta } = email;
+    try {
+      await fs.ensureDir(dir);
+      await writeAtomic(path.join(dir, `${email.name}.html`), html);
+      await writeAtomic(path.join(dir, `${email.name}.txt`), text);
+      await writeAtomic(path.join(dir, `${email.name}.json`), JSON.stringify({ ...meta, target }, null, 2));
+    } catch (e) {
+      throw new PublishError(`Writing to ${dir} failed: ${e.code || e.message}`);
+    }
+    return `Wrote ${email.name}.html`;
+  }
+};
+
+export const ADAPTERS = { http, folder };
@@ -0,0 +1,178 @@
+// The render pipeline shared by /render, /api/preview and the linters:
+// Handlebars (venue data) -> CSS inlining -> absolute asset URLs, optionally
+// -> plain text. Booking-system [PLACEHOLDERS] pass through untouched.
+
+import Handlebars from "handlebars";
+import juice from "juice";
+import { assetsBaseUrl, resolveAssetUrls } from "./assets.js";
+import { listVenues, loadPartials, loadTemplate, loadVenue } from "./data.js";
+import { HttpError } from "./errors.js";
+import { missingPartials } from "./lint.js";
+import { assertLocale, loadStrings, translate } from "./locales.js";
+import { checkPlaceholders, loadPlaceholderRegistry } from "./placeholders.js";
+
+export const FORMATS = ["html", "text"];
+
+/**
+ * Validate a requested output format; defaults to "html".
+ */
+export function assertFormat(format = "html") {
+  if (!FORMATS.includes(format)) {
+    throw new HttpError(400, `Unknown format "${format}": use ${FORMATS.join(" or ")}`);
+  }
+  return format;
+}
+
+export function inlineCss(html) {
+  return juice(html, { applyStyleTags: true, removeStyleTags: false });
+}
+
+/**
+ * A Handlebars environment with `partials` ({ name: source }) registered, and
+ * the `t` helper translating static text through `strings` (see
+ * lib/locales.js): {{t "Table for {covers}" covers="[COVERS]"}}.
+ * Each render builds its own, so a partial changed on disk (or sent as a
+ * preview draft) shows up on the next render.
+ */
+export function createHandlebars(partials = {}, strings = {}) {
+  const hbs = Handlebars.create();
+  for (const [name, source] of Object.entries(partials)) hbs.registerPartial(name, source);
+  hbs.registerHelper("t", (text, options) => translate(strings, String(text), options.hash));
+  return hbs;
+}
+
+export function compileTemplate(source, partials = {}, strings = {}) {
+  return createHandlebars(partials, strings).compile(source, { noEscape: true });
+}
+
+/**
+ * Compile template (or partial) source up front and report what is wrong with
+ * it as [{ line, column, message }] (empty when it compiles), including calls
+ * to partials missing from `partials`. Handlebars.compile only does the work
+ * on first render, so this precompiles instead.
+ */
+export function templateErrors(source, partials = {}) {
+  try {
+    const ast = Handlebars.parse(source);
+    Handlebars.precompile(ast, { noEscape: true });
+    return missingPartials(ast, new Set(Object.keys(partials))).map(call => ({
+      line: call.line,
+      column: null,
+      message: `Partial "${call.name}" does not exist`
+    }));
+  } catch (e) {
+    const parseLine = /Parse error on line (\d+)/.exec(e.message);
+    return [{
+      line: e.lineNumber ?? (parseLine ? Number(parseLine[1]) : null),
+      column: e.column ?? null,
+      message: e.message
+    }];
+  }
+}
+
+// The helper a Handlebars runtime error is about: 'Missing helper: "foo"',
+// "Must pass iterator to #each", "#with requires exactly one argument"
+function failingHelper(message) {
+  const missing = /Missing helper: "([^"]+)"/.exec(message);
+  if (missing) return { name: missing[1], missing: true };
+  const block = /#([A-Za-z_$][\w$]*)/.exec(message);
+  return block ? { name: block[1], missing: false } : null;
+}
+
+// Where `source` calls `helper`: { line, column } of the first call that could
+// have thrown (a missing helper only throws when given arguments), or null
+function findHelperCall(source, { name, missing }) {
+  let found = null;
+  const visit = node => {
+    if (found || !node || typeof node !== "object") return;
+    if (Array.isArray(node)) return node.forEach(visit);
+    if (["MustacheStatement", "BlockStatement", "SubExpression"].includes(node.type) && node.path?.original === name
+      && (!missing || node.params.length || node.hash)) {
+      found = { line: node.loc.start.line, column: node.loc.start.column };
+      return;
+    }
+    for (const [key, value] of Object.entries(node)) if (key !== "loc") visit(value);
+  };
+  try {
+    visit(Handlebars.parse(source));
+  } catch {
+    // unparseable sources are reported by templateErrors
+  }
+  return found;
+}
+
+/**
+ * Describe an error thrown while running a compiled template as
+ * { line, column, message, partial }, locating the helper call it came from
+ * in the template `source` (partial null) or one of `partials`. null for
+ * errors that are not Handlebars runtime errors.
+ */
+export function runtimeError(error, source, partials = {}) {
+  if (!(error instanceof Handlebars.Exception)) return null;
+  if (error.lineNumber) return { line: error.lineNumber, column: error.column ?? null, message: error.message };
+  const helper = failingHelper(error.message);
+  for (const [partial, text] of [[null, source], ...Object.entries(partials)]) {
+    const call = helper && findHelperCall(text, helper);
+    if (call) return { ...call, message: error.message, partial };
+  }
+  return { line: null, column: null, message: error.message };
+}
+
+/**
+ * Run a template against every venue's values, catching the errors that only
+ * show at render time (a missing helper, {{#each}} without a list). Pass
+ * `source` and/or `partials` to try unsaved edits. Returns the first error as
+ * [{ line, column, message, venue, partial? }], or an empty list.
+ * Templates get no translation catalog here; {{t}} cannot fail.
+ */
+export async function trialRender(templateKey, { source: draft, partials: draftPartials } = {}) {
+  const [source, partials] = await Promise.all([draft ?? loadTemplate(templateKey), loadPartials()]);
+  const allPartials = { ...partials, ...draftPartials };
+  const template = compileTemplate(source, allPartials);
+  const venues = await listVenues();
+  for (const venue of venues.length ? venues : [null]) {
+    try {
+      template(venue ? await loadVenue(venue) : {}, { data: { locale: await assertLocale() } });
+    } catch (e) {
+      const error = runtimeError(e, source, allPartials);
+      if (!error) throw e;
+      return [{ ...error, message: venue ? `${error.message} (rendering ${venue})` : error.message, venue }];
+    }
+  }
+  return [];
+}
+
+/**
+ * Render a template with the given variables. Pass `source` to render unsaved
+ * template source instead of the file on disk, and `partials` ({ name: source })
+ * to override individual partials the same way. `locale` picks the catalog for
+ * {{t}} and is available to templates as {{@locale}} (the default locale when
+ * omitted); `vars` should already be localized. Relative /assets/... URLs come
+ * out absolute (see lib/assets.js).
+ * Returns { html, placeholders } where placeholders is the
+ * { used, issues } report from checkPlaceholders. Handlebars runtime errors
+ * are a 422 with errors: [{ line, column, message, partial? }].
+ */
+export async function renderEmail(templateKey, vars, { source: draft, partials: draftPartials, locale: requested } = {}) {
+  const locale = await assertLocale(requested);
+  const [source, partials, registry, assetsBase, strings] = await Promise.all([
+    draft ?? loadTemplate(templateKey),
+    loadPartials(),
+    loadPlaceholderRegistry(),
+    assetsBaseUrl(),
+    loadStrings(locale)
+  ]);
+  const allPartials = { ...partials, ...draftPartials };
+  const template = compileTemplate(source, allPartials, strings);
+  let rendered;
+  try {
+    rendered = template(vars, { data: { locale } });
+  } catch (e) {
+    const error = runtimeError(e, source, allPartials);
+    if (!error) throw e;
+    const where = error.line ? ` (${error.partial ? `partial ${error.partial}, ` : ""}line ${error.line})` : "";
+    throw new HttpError(422, `Template failed to render: ${error.message}${where}`, { errors: [error] });
+  }
+  const html = resolveAssetUrls(inlineCss(rendered), assetsBase);
+  return { html, placeholders: checkPlaceholders({ source, html }, registry) };
+}
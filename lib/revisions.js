@@ -0,0 +1,77 @@
+// Revision history for venue JSON. Every published version (see lib/drafts.js)
+// is written to data/revisions/<venue>/<id>.json alongside the live file in
+// data/venues, so a bad publish can always be rolled back.
+
+import fs from "fs-extra";
+import path from "path";
+import { dataPath, loadVenueOverrides, saveVenue } from "./data.js";
+import { assertKey } from "./keys.js";
+import { upgradeVenue } from "./upgrade.js";
+
+export function revisionDir(venueKey) {
+  return dataPath("revisions", assertKey(venueKey, "venue"));
+}
+
+// Sortable, filesystem-safe id: 2025-03-14T07-30-00-000Z
+function newRevisionId(existing) {
+  let id = new Date().toISOString().replace(/[:.]/g, "-");
+  for (let n = 1; existing.includes(id); n++) id = `${id.replace(/_\d+$/, "")}_${n}`;
+  return id;
+}
+
+async function revisionIds(venueKey) {
+  const dir = revisionDir(venueKey);
+  if (!await fs.pathExists(dir)) return [];
+  const files = await fs.readdir(dir);
+  return files.filter(f => f.endsWith(".json")).map(f => path.basename(f, ".json")).sort();
+}
+
+async function writeRevision(venueKey, data, note) {
+  const id = newRevisionId(await revisionIds(venueKey));
+  const revision = { id, venue: venueKey, savedAt: new Date().toISOString(), note: note || "", data };
+  await fs.ensureDir(revisionDir(venueKey));
+  await fs.writeJson(path.join(revisionDir(venueKey), `${id}.json`), revision, { spaces: 2 });
+  return revision;
+}
+
+/**
+ * List a venue's revisions, newest first, without their data.
+ */
+export async function listRevisions(venueKey) {
+  const revisions = [];
+  for (const id of (await revisionIds(venueKey)).reverse()) {
+    const { savedAt, note } = await fs.readJson(path.join(revisionDir(venueKey), `${id}.json`));
+    revisions.push({ id, savedAt, note });
+  }
+  return revisions;
+}
+
+/**
+ * Load one revision ({ id, venue, savedAt, note, data }), or null if it does not exist.
+ */
+export async function loadRevision(venueKey, id) {
+  assertKey(id, "revision");
+  if (!(await revisionIds(venueKey)).includes(id)) return null;
+  const revision = await fs.readJson(path.join(revisionDir(venueKey), `${id}.json`));
+  return { ...revision, data: upgradeVenue(revision.data) };
+}
+
+/**
+ * Record a snapshot of a venue without saving it, e.g. just before deletion.
+ */
+export async function snapshotVenue(venueKey, data, note) {
+  return writeRevision(venueKey, data, note);
+}
+
+/**
+ * Save venue JSON and record it as a new revision. The first save of a venue
+ * with no history also snapshots the file it replaces.
+ */
+export async function saveVenueRevision(venueKey, payload, { note } = {}) {
+  if (!(await revisionIds(venueKey)).length) {
+    const current = await loadVenueOverrides(venueKey).catch(() => null);
+    if (current) await writeRevision(venueKey, current, "Initial version (before first tracked save)");
+  }
+  await saveVenue(venueKey, payload);
+  return writeRevision(venueKey, payload, note);
+}
@@ -0,0 +1,50 @@
+// Sanitiser for "html" venue fields. Templates print venue values unescaped,
+// so whatever an editor types lands in the email (and in every admin's
+// preview) as markup. Only simple inline formatting survives; the other field
+// types refuse markup outright (see checkField in lib/validation.js).
+
+import * as cheerio from "cheerio";
+
+export const ALLOWED_TAGS = ["a", "b", "br", "em", "i", "p", "small", "span", "strong", "u"];
+
+// Elements dropped together with their content; any other unknown element is
+// unwrapped, keeping its text.
+const DROP = new Set(["script", "style", "iframe", "object", "embed", "form", "input", "button", "select", "textarea", "head", "title", "svg", "math", "template"]);
+
+// Link targets allowed in href: web, mail and phone links, fragments, and
+// booking-system [PLACEHOLDERS]
+const SAFE_HREF = /^(https?:\/\/|mailto:|tel:|#|\[[A-Z0-9_]+\]$)/i;
+
+function clean($, nodes) {
+  for (const node of nodes) {
+    if (node.type === "comment" || node.type === "directive" || node.type === "cdata") {
+      $(node).remove();
+      continue;
+    }
+    if (node.type !== "tag" && node.type !== "script" && node.type !== "style") continue;
+    const name = node.name.toLowerCase();
+    if (DROP.has(name)) {
+      $(node).remove();
+      continue;
+    }
+    clean($, [...node.children]);
+    if (!ALLOWED_TAGS.includes(name)) {
+      $(node).replaceWith($(node).contents());
+      continue;
+    }
+    const href = name === "a" ? (node.attribs.href || "").trim() : null;
+    for (const attribute of Object.keys(node.attribs)) $(node).removeAttr(attribute);
+    if (href && SAFE_HREF.test(href)) $(node).attr("href", href);
+  }
+}
+
+/**
+ * Reduce an HTML fragment to ALLOWED_TAGS, with no attributes except a safe
+ * href on links. Text and allowed markup come back unchanged, so clean values
+ * round-trip exactly.
+ */
+export function sanitizeHtml(html) {
+  const $ = cheerio.load(html, null, false);
+  clean($, [...$.root().contents()]);
+  return $.html();
+}
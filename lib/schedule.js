@@ -0,0 +1,137 @@
+// Scheduled values: alternative values for venue fields during a period, such
+// as a seasonal promo. Any layer (brand defaults, a group, a venue) may hold a
+// `schedule` of entries:
+//   { label?, start: "2026-12-01T00:00", end?: "2027-01-31T23:59",
+//     values: { promoImageUrl: "..." }, translations?: { zh: { promoAlt: "..." } } }
+// Times are local times in the venue's timezone: its `timezone` value (which
+// layers like any other), else the server's. An entry is active from `start`
+// up to, not including, `end` (open-ended without one); while active its
+// values replace the layer's own. Overlapping entries apply in order of start,
+// so the later one wins.
+
+import { HttpError } from "./errors.js";
+
+// Local date and time, minutes optional: 2026-12-01T09:00 or 2026-12-01
+const LOCAL_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?$/;
+// An absolute time for ?at=, with Z or an offset
+const ABSOLUTE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+export function serverTimezone() {
+  return process.env.TZ || Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+export function isTimezone(timezone) {
+  if (typeof timezone !== "string" || !timezone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function parseLocal(local) {
+  const match = LOCAL_TIME.exec(local);
+  if (!match) return null;
+  const [year, month, day, hour = 0, minute = 0] = match.slice(1).map(part => (part === undefined ? undefined : Number(part)));
+  if (month < 1 || month > 12 || day < 1 || hour > 23 || minute > 59) return null;
+  // Day 0 of the next month is this month's last day (29 in a leap February)
+  if (day > new Date(Date.UTC(year, month, 0)).getUTCDate()) return null;
+  return { year, month, day, hour, minute };
+}
+
+export function isLocalTime(value) {
+  return typeof value === "string" && parseLocal(value) !== null;
+}
+
+// Wall-clock fields of `instant` in `timezone`
+function wallClock(instant, timezone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit"
+  }).formatToParts(instant);
+  const field = type => Number(parts.find(p => p.type === type).value);
+  return { year: field("year"), month: field("month"), day: field("day"), hour: field("hour"), minute: field("minute"), second: field("second") };
+}
+
+// How far `timezone` is ahead of UTC at `instant`, in ms
+function offsetAt(instant, timezone) {
+  const c = wallClock(instant, timezone);
+  return Date.UTC(c.year, c.month - 1, c.day, c.hour, c.minute, c.second) - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * The instant (ms since the epoch) a local time in `timezone` refers to.
+ * Times skipped by a daylight-saving change resolve to the hour after.
+ */
+export function localToInstant(local, timezone) {
+  const t = parseLocal(local);
+  if (!t) throw new HttpError(400, `Invalid local time "${local}": use YYYY-MM-DDTHH:mm`);
+  const wall = Date.UTC(t.year, t.month - 1, t.day, t.hour, t.minute);
+  // the offset at the wall time read as UTC is at most a DST change off
+  const guess = wall - offsetAt(wall, timezone);
+  return wall - offsetAt(guess, timezone);
+}
+
+/**
+ * `instant` as a local time (YYYY-MM-DDTHH:mm) in `timezone`.
+ */
+export function instantToLocal(instant, timezone) {
+  const c = wallClock(instant, timezone);
+  const pad = n => String(n).padStart(2, "0");
+  return `${c.year}-${pad(c.month)}-${pad(c.day)}T${pad(c.hour)}:${pad(c.minute)}`;
+}
+
+/**
+ * Resolve a requested time to an instant: a number (ms) is used as is, an
+ * ISO time with Z or an offset is absolute, and a local time
+ * (YYYY-MM-DDTHH:mm) is read in `timezone`. 400 for anything else.
+ */
+export function resolveInstant(at, timezone) {
+  if (typeof at === "number") return at;
+  // Date.parse rolls impossible dates (2026-02-31) over, so check the date first
+  if (typeof at === "string" && ABSOLUTE_TIME.test(at) && isLocalTime(at.slice(0, 10)) && !Number.isNaN(Date.parse(at))) return Date.parse(at);
+  if (typeof at === "string" && isLocalTime(at)) return localToInstant(at, timezone);
+  throw new HttpError(400, `Invalid time "${at}": use YYYY-MM-DDTHH:mm (venue time) or an ISO time with an offset`);
+}
+
+/**
+ * Whether a schedule entry is active at `instant`.
+ */
+export function isActive(entry, instant, timezone) {
+  if (localToInstant(entry.start, timezone) > instant) return false;
+  return !entry.end || localToInstant(entry.end, timezone) > instant;
+}
+
+/**
+ * A layer's values at `instant`: the values (and translations) of its active
+ * schedule entries replace its own. The schedule itself is dropped. A
+ * scheduled value also drops the layer's translations of that field unless
+ * the entry translates it, so a promo never shows last season's translation.
+ */
+export function applySchedule(values, instant, timezone) {
+  const { schedule, ...rest } = values;
+  if (!Array.isArray(schedule)) return rest;
+  const active = schedule
+    .filter(entry => entry && isLocalTime(entry.start) && isActive(entry, instant, timezone))
+    .sort((a, b) => localToInstant(a.start, timezone) - localToInstant(b.start, timezone));
+  let result = rest;
+  for (const entry of active) {
+    const scheduled = entry.values || {};
+    const translations = {};
+    for (const [locale, translated] of Object.entries(result.translations || {})) {
+      translations[locale] = Object.fromEntries(Object.entries(translated || {}).filter(([key]) => !Object.hasOwn(scheduled, key)));
+    }
+    for (const [locale, translated] of Object.entries(entry.translations || {})) {
+      translations[locale] = { ...translations[locale], ...translated };
+    }
+    result = { ...result, ...scheduled, translations };
+  }
+  return result;
+}
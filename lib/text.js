@@ -0,0 +1,80 @@
+// Plain-text alternative for a rendered email, sent as the text/plain part.
+// Links become "text (url)", images their alt text, and booking-system
+// [PLACEHOLDERS] pass through untouched (including inside hrefs).
+
+import * as cheerio from "cheerio";
+
+const SKIP = new Set(["head", "style", "script", "title"]);
+// Elements that start on their own line; paragraphs and headings also get a
+// blank line around them.
+const LINE_BREAKING = new Set(["div", "tr", "td", "th", "table", "center", "ul", "ol", "li", "blockquote"]);
+const PARAGRAPHS = new Set(["p", "h1", "h2", "h3", "h4", "h5", "h6"]);
+
+// Control characters used as line markers while walking the tree, so real
+// whitespace in the HTML can be collapsed without losing them.
+const NEWLINE = "\u0001";
+const PARAGRAPH = "\u0002";
+
+function linkTarget(href, text) {
+  const url = (href || "").trim();
+  if (!url || url === "#") return null;
+  const bare = url.replace(/^(mailto:|tel:)/i, "");
+  if (text.replace(/\s+/g, "") === bare.replace(/\s+/g, "") || text === url) return null;
+  return url;
+}
+
+function walk($, nodes) {
+  let out = "";
+  for (const node of nodes) {
+    if (node.type === "text") {
+      out += node.data;
+      continue;
+    }
+    if (node.type !== "tag") continue;
+    const name = node.name.toLowerCase();
+    if (SKIP.has(name)) continue;
+
+    if (name === "br") {
+      out += NEWLINE;
+    } else if (name === "img") {
+      const alt = ($(node).attr("alt") || "").trim();
+      if (alt) out += ` ${alt} `;
+    } else if (name === "hr") {
+      out += `${PARAGRAPH}----------${PARAGRAPH}`;
+    } else if (name === "a") {
+      const text = collapse(walk($, node.children)).trim();
+      const url = linkTarget($(node).attr("href"), text);
+      if (text && url) out += `${text} (${url})`;
+      else out += text || url || "";
+    } else if (PARAGRAPHS.has(name)) {
+      out += PARAGRAPH + walk($, node.children) + PARAGRAPH;
+    } else if (name === "li") {
+      out += `${NEWLINE}- ${walk($, node.children)}${NEWLINE}`;
+    } else if (LINE_BREAKING.has(name)) {
+      out += NEWLINE + walk($, node.children) + NEWLINE;
+    } else {
+      out += walk($, node.children);
+    }
+  }
+  return out;
+}
+
+// Collapse HTML whitespace (\s covers &nbsp;); only the markers produce line breaks
+function collapse(text) {
+  return text.replace(/\s+/g, " ");
+}
+
+/**
+ * Convert rendered email HTML to readable plain text.
+ */
+export function htmlToText(html) {
+  const $ = cheerio.load(html);
+  const raw = collapse(walk($, $.root().children().toArray()));
+  return raw
+    .replace(new RegExp(`[\\s${NEWLINE}]*${PARAGRAPH}[\\s${PARAGRAPH}${NEWLINE}]*`, "g"), "\n\n")
+    .replace(new RegExp(`[ ]*${NEWLINE}[ ${NEWLINE}]*`, "g"), "\n")
+    .replace(/\n\n\n+/g, "\n\n")
+    .split("\n").map(line => line.trim()).join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim() + "\n";
+}
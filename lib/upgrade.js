@@ -0,0 +1,36 @@
+// Upgrades venue JSON written for older schemas, applied whenever a venue or
+// revision is read, so files saved before a schema change keep rendering.
+// The next save writes the new shape.
+//
+// Each upgrade folds a set of legacy keys into their replacement; it is
+// skipped when the venue already has the new key.
+
+const UPGRADES = [
+  {
+    // Reminder's hardcoded second banner -> repeatable list
+    key: "reminderPromos",
+    legacy: ["promoImageUrl2", "promoUrlCTA2"],
+    build: v => (v.promoImageUrl2 ? [{ image: v.promoImageUrl2, url: v.promoUrlCTA2 || "", alt: "Are you a Lone Star Loyal?" }] : [])
+  },
+  {
+    // helpfulMessage1, helpfulMessage2 -> repeatable list
+    key: "helpfulMessages",
+    legacy: ["helpfulMessage1", "helpfulMessage2"],
+    build: v => [v.helpfulMessage1, v.helpfulMessage2].filter(text => text).map(text => ({ text }))
+  }
+];
+
+/**
+ * Return `venue` in the current shape (a new object when anything changed).
+ */
+export function upgradeVenue(venue) {
+  if (!venue || typeof venue !== "object" || Array.isArray(venue)) return venue;
+  let upgraded = venue;
+  for (const { key, legacy, build } of UPGRADES) {
+    if (!legacy.some(k => k in upgraded)) continue;
+    upgraded = { ...upgraded };
+    if (!(key in upgraded)) upgraded[key] = build(upgraded);
+    for (const k of legacy) delete upgraded[k];
+  }
+  return upgraded;
+}
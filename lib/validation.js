@@ -0,0 +1,369 @@
+// Validation of venue JSON against the field definitions in data/schemas.
+// Every venue feeds every template, so a venue is checked against all schemas
+// and each error records which template declared the offending field.
+
+import { sanitizeHtml } from "./sanitize.js";
+import { isLocalTime, isTimezone, localToInstant } from "./schedule.js";
+
+// No quotes or angle brackets: templates put URLs in href and src attributes
+const URL_PATTERN = /^(https?:\/\/[^\s"'<>`]+|\/assets\/[^\s"'<>`]+|mailto:[^\s"'<>`]+|tel:[0-9+\s()-]+)$/i;
+const IMAGE_PATTERN = /^(https?:\/\/[^\s"'<>`]+|\/assets\/[^\s"'<>`]+)$/i;
+// Text and textarea values are printed unescaped like html ones (in alt
+// attributes too), but only html fields are sanitised, so markup and double
+// quotes are refused
+const MARKUP_PATTERN = /[<>"]/;
+const COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+// Digits only (templates build tel:{{phoneLink}} links from it)
+const TEL_PATTERN = /^\+?[0-9]{6,15}$/;
+const EMAIL_PATTERN = /^[^\s@<>"]+@[^\s@<>"]+\.[^\s@<>"]+$/;
+
+export const FIELD_TYPES = ["text", "textarea", "html", "url", "image", "tel", "email", "color", "boolean", "select", "list"];
+
+// showIf: "key" shows the field while that field is set, "!key" while it is not
+const SHOW_IF_PATTERN = /^!?[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+// Venue keys that are not fields, and what they hold
+const RESERVED_KEYS = {
+  translations: "per-locale values",
+  schedule: "scheduled values",
+  timezone: "the venue's timezone"
+};
+
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+}
+
+/**
+ * The allowed values of a select field, whose options are either strings or
+ * { value, label } objects.
+ */
+export function optionValues(field) {
+  return (field.options || []).map(o => (o && typeof o === "object" ? o.value : o));
+}
+
+/**
+ * Whether a field has per-locale values in a venue's `translations`: text,
+ * textarea, html and list fields unless the schema sets `translatable: false`,
+ * other types only with `translatable: true`.
+ */
+export function isTranslatable(field) {
+  return typeof field.translatable === "boolean" ? field.translatable : ["text", "textarea", "html", "list"].includes(field.type);
+}
+
+function isObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+function isSet(value) {
+  return Array.isArray(value) ? value.length > 0 : value === true || (typeof value === "string" && value.trim() !== "");
+}
+
+/**
+ * Whether a field applies to `venue`, given its optional showIf condition.
+ * Hidden fields are not required.
+ */
+export function isShown(field, venue) {
+  if (!field.showIf) return true;
+  const negate = field.showIf.startsWith("!");
+  const set = isSet(venue[negate ? field.showIf.slice(1) : field.showIf]);
+  return negate ? !set : set;
+}
+
+function checkField(field, value) {
+  if (field.type === "boolean") {
+    return value === undefined || typeof value === "boolean" ? [] : ["Must be true or false"];
+  }
+  if (isEmpty(value)) {
+    return field.required ? ["Required field is empty"] : [];
+  }
+  if (typeof value !== "string") {
+    return [`Expected a string, got ${Array.isArray(value) ? "array" : typeof value}`];
+  }
+  switch (field.type) {
+    case "text":
+    case "textarea":
+      return MARKUP_PATTERN.test(value) ? ['Cannot contain <, > or " (use an html field for formatting, “curly” quotes for quotes)'] : [];
+    case "url":
+      return URL_PATTERN.test(value.trim()) ? [] : ["Must be an http(s), /assets/..., mailto: or tel: URL"];
+    case "image":
+      return IMAGE_PATTERN.test(value.trim()) ? [] : ["Must be an /assets/... path or an http(s) image URL"];
+    case "tel":
+      return TEL_PATTERN.test(value.trim()) ? [] : ["Must be a phone number in digits only, optionally starting with +, e.g. 034741955"];
+    case "email":
+      return EMAIL_PATTERN.test(value.trim()) ? [] : ["Must be an email address such as dunedin@lonestar.co.nz"];
+    case "color":
+      return COLOR_PATTERN.test(value.trim()) ? [] : ["Must be a hex colour such as #597b91"];
+    case "select":
+      return optionValues(field).includes(value) ? [] : [`Must be one of: ${optionValues(field).join(", ")}`];
+    case "html":
+      return sanitizeHtml(value) === value ? [] : ["Contains markup that is not allowed"];
+    default:
+      return [];
+  }
+}
+
+function sanitizeFields(fields, values) {
+  const clean = { ...values };
+  for (const field of fields) {
+    const value = clean[field.key];
+    if (field.type === "html" && typeof value === "string") {
+      clean[field.key] = sanitizeHtml(value);
+    } else if (field.type === "list" && Array.isArray(value)) {
+      clean[field.key] = value.map(item => (item && typeof item === "object" && !Array.isArray(item) ? sanitizeFields(field.itemFields || [], item) : item));
+    }
+  }
+  return clean;
+}
+
+function sanitizeValues(values, schemas) {
+  return Object.values(schemas).reduce((clean, schema) => sanitizeFields(schema.fields || [], clean), values);
+}
+
+function sanitizeTranslations(translations, schemas) {
+  return Object.fromEntries(Object.entries(translations).map(
+    ([locale, values]) => [locale, isObject(values) ? sanitizeValues(values, schemas) : values]
+  ));
+}
+
+/**
+ * A copy of `venue` with its html fields (including those inside list items,
+ * translations and schedule entries) passed through sanitizeHtml, so saving
+ * strips disallowed markup instead of rejecting it.
+ */
+export function sanitizeVenue(venue, schemas) {
+  if (!isObject(venue)) return venue;
+  const clean = sanitizeValues(venue, schemas);
+  if (isObject(clean.translations)) clean.translations = sanitizeTranslations(clean.translations, schemas);
+  if (Array.isArray(clean.schedule)) {
+    clean.schedule = clean.schedule.map(entry => {
+      if (!isObject(entry)) return entry;
+      const cleanEntry = { ...entry };
+      if (isObject(entry.values)) cleanEntry.values = sanitizeValues(entry.values, schemas);
+      if (isObject(entry.translations)) cleanEntry.translations = sanitizeTranslations(entry.translations, schemas);
+      return cleanEntry;
+    });
+  }
+  return clean;
+}
+
+/**
+ * Check a list field's items against its itemFields.
+ * Returns [{ message, item, itemKey }]; item is the 0-based index.
+ */
+function checkList(field, value) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) return [{ message: "Must be a list", item: null, itemKey: null }];
+  const itemFields = field.itemFields || [];
+  const declared = new Set(itemFields.map(f => f.key));
+  const errors = [];
+  value.forEach((item, index) => {
+    const name = `${field.itemLabel || "Item"} ${index + 1}`;
+    if (!item || typeof item !== "object" || Array.isArray(item)) {
+      errors.push({ message: `${name} must be an object`, item: index, itemKey: null });
+      return;
+    }
+    for (const itemField of itemFields) {
+      if (!isShown(itemField, item)) continue;
+      for (const message of checkField(itemField, item[itemField.key])) {
+        errors.push({ message: `${name}, ${itemField.label}: ${message}`, item: index, itemKey: itemField.key });
+      }
+    }
+    for (const key of Object.keys(item)) {
+      if (!declared.has(key)) errors.push({ message: `${name}: unknown field ${key}`, item: index, itemKey: key });
+    }
+  });
+  return errors;
+}
+
+/**
+ * Validate a venue object against a map of { templateKey: schema }.
+ * Returns a list of { key, template, message }; empty when the venue is valid.
+ * Errors inside a list field also carry { item, itemKey }. Keys that no
+ * schema declares are reported with template set to null; fields hidden by
+ * showIf are not checked. With `partial` (brand layers, which only hold some
+ * fields) fields the object does not contain are skipped, so nothing is
+ * required.
+ *
+ * `translations` ({ locale: values }) may hold values for translatable fields;
+ * errors in them also carry `locale`. Pass `locales` (the non-default locale
+ * codes) to reject translations for any other locale.
+ *
+ * `schedule` holds scheduled values (see lib/schedule.js) and `timezone` the
+ * IANA timezone its times are in. Errors in a schedule entry carry its index
+ * as `item`.
+ */
+export function validateVenue(venue, schemas, { partial = false, locales = null } = {}) {
+  if (!venue || typeof venue !== "object" || Array.isArray(venue)) {
+    return [{ key: null, template: null, message: "Venue must be a JSON object" }];
+  }
+
+  const errors = [];
+  const declared = new Set();
+  for (const [templateKey, schema] of Object.entries(schemas)) {
+    for (const field of schema.fields || []) {
+      declared.add(field.key);
+      if (partial && !(field.key in venue)) continue;
+      if (field.type === "list") {
+        for (const error of checkList(field, venue[field.key])) {
+          errors.push({ key: field.key, template: templateKey, ...error });
+        }
+        continue;
+      }
+      if (!isShown(field, venue)) continue;
+      for (const message of checkField(field, venue[field.key])) {
+        errors.push({ key: field.key, template: templateKey, message });
+      }
+    }
+  }
+
+  for (const key of Object.keys(venue)) {
+    if (!declared.has(key) && !Object.hasOwn(RESERVED_KEYS, key)) {
+      errors.push({ key, template: null, message: "Unknown field: not declared in any template schema" });
+    }
+  }
+  if (venue.translations !== undefined) errors.push(...checkTranslations(venue.translations, schemas, locales));
+  if (venue.schedule !== undefined) errors.push(...checkSchedule(venue.schedule, schemas, locales));
+  if (venue.timezone !== undefined && !isTimezone(venue.timezone)) {
+    errors.push({ key: "timezone", template: null, message: "Must be an IANA timezone such as Pacific/Auckland" });
+  }
+  return errors;
+}
+
+// Scheduled values: entries of { label?, start, end?, values, translations? }
+// whose values are checked like a partial venue's
+function checkSchedule(schedule, schemas, locales) {
+  if (!Array.isArray(schedule)) {
+    return [{ key: "schedule", template: null, message: "Schedule must be a list of entries" }];
+  }
+  const errors = [];
+  schedule.forEach((entry, index) => {
+    const name = `Schedule entry ${index + 1}`;
+    const report = (message, extra = {}) => errors.push({ key: "schedule", template: null, item: index, message: `${name}: ${message}`, ...extra });
+    if (!isObject(entry)) return report("must be an object");
+    if (entry.label !== undefined && typeof entry.label !== "string") report("label must be a string");
+    if (!isLocalTime(entry.start)) report("start must be a local time such as 2026-12-01T09:00");
+    if (entry.end !== undefined && !isLocalTime(entry.end)) report("end must be a local time such as 2027-01-31T23:59");
+    else if (isLocalTime(entry.start) && entry.end !== undefined && localToInstant(entry.end, "UTC") <= localToInstant(entry.start, "UTC")) {
+      report("end must be after start");
+    }
+    if (!isObject(entry.values) || !Object.keys(entry.values).length) {
+      report("needs values for at least one field");
+    } else {
+      for (const key of Object.keys(entry.values).filter(key => Object.hasOwn(RESERVED_KEYS, key))) {
+        report(`${key} cannot be scheduled`, { itemKey: key });
+      }
+      const values = Object.fromEntries(Object.entries(entry.values).filter(([key]) => !Object.hasOwn(RESERVED_KEYS, key)));
+      for (const error of validateVenue(values, schemas, { partial: true })) {
+        report(error.message, { itemKey: error.key, template: error.template });
+      }
+    }
+    if (entry.translations !== undefined) {
+      for (const error of checkTranslations(entry.translations, schemas, locales)) {
+        report(error.message, { itemKey: error.key, template: error.template, locale: error.locale });
+      }
+    }
+    for (const key of Object.keys(entry)) {
+      if (!["label", "start", "end", "values", "translations"].includes(key)) report(`unknown property ${key}`);
+    }
+  });
+  return errors;
+}
+
+// Per-locale values: only translatable fields, never required
+function checkTranslations(translations, schemas, locales) {
+  if (!isObject(translations)) {
+    return [{ key: "translations", template: null, message: "Translations must be an object of locale -> field values" }];
+  }
+  const errors = [];
+  for (const [locale, values] of Object.entries(translations)) {
+    if (locales && !locales.includes(locale)) {
+      errors.push({ key: "translations", template: null, locale, message: `Translations for "${locale}": not a translation locale (${locales.join(", ") || "none configured"})` });
+      continue;
+    }
+    if (!isObject(values)) {
+      errors.push({ key: "translations", template: null, locale, message: `Translations for "${locale}" must be an object of field values` });
+      continue;
+    }
+    const declared = new Set();
+    for (const [templateKey, schema] of Object.entries(schemas)) {
+      for (const field of schema.fields || []) {
+        if (!isTranslatable(field)) continue;
+        declared.add(field.key);
+        if (!(field.key in values)) continue;
+        const fieldErrors = field.type === "list"
+          ? checkList(field, values[field.key])
+          : checkField({ ...field, required: false }, values[field.key]).map(message => ({ message }));
+        for (const error of fieldErrors) errors.push({ key: field.key, template: templateKey, locale, ...error });
+      }
+    }
+    for (const key of Object.keys(values)) {
+      if (!declared.has(key)) {
+        errors.push({ key, template: null, locale, message: `Not a translatable field (${locale})` });
+      }
+    }
+  }
+  return errors;
+}
+
+const KEY_NAME = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+// Field definition checks shared by a schema's fields and a list's itemFields;
+// `prefix` names the list for errors about its item fields.
+function checkFieldDefinitions(fields, errors, prefix = "") {
+  const seen = new Set();
+  fields.forEach((field, index) => {
+    const key = field && typeof field.key === "string" ? field.key : null;
+    if (!key || !KEY_NAME.test(key)) {
+      errors.push({ key: key && prefix + key, message: `Field ${index + 1} needs a key usable as a Handlebars variable` });
+      return;
+    }
+    const report = message => errors.push({ key: prefix + key, message });
+    if (seen.has(key)) report("Duplicate field key");
+    if (Object.hasOwn(RESERVED_KEYS, key) && !prefix) report(`${key} is reserved for ${RESERVED_KEYS[key]}`);
+    seen.add(key);
+    if (typeof field.label !== "string" || !field.label.trim()) report("Field needs a label");
+    if (!FIELD_TYPES.includes(field.type)) report(`Field type must be one of: ${FIELD_TYPES.join(", ")}`);
+    if (field.imageWidth !== undefined && (field.type !== "image" || !Number.isInteger(field.imageWidth) || field.imageWidth < 1)) {
+      report("imageWidth must be a positive whole number of pixels on an image field");
+    }
+    if (field.type === "select") {
+      const values = Array.isArray(field.options) ? optionValues(field) : [];
+      if (!values.length || values.some(v => typeof v !== "string" || !v)) {
+        report("A select field needs options: strings or { value, label } objects");
+      }
+    }
+    for (const attribute of ["help", "placeholder", "group", "itemLabel"]) {
+      if (field[attribute] !== undefined && typeof field[attribute] !== "string") report(`${attribute} must be a string`);
+    }
+    if (field.translatable !== undefined && typeof field.translatable !== "boolean") report("translatable must be true or false");
+    if (field.showIf !== undefined && (typeof field.showIf !== "string" || !SHOW_IF_PATTERN.test(field.showIf))) {
+      report('showIf must be a field key, or "!" and a field key');
+    }
+    if (field.type === "list") {
+      if (prefix) report("Lists cannot be nested");
+      else if (!Array.isArray(field.itemFields) || !field.itemFields.length) report("A list field needs itemFields");
+      else checkFieldDefinitions(field.itemFields, errors, `${key}.`);
+    }
+  });
+}
+
+/**
+ * Check the shape of a schema document before it is saved.
+ * Returns a list of { key, message }; key is the offending field's key, or
+ * null for problems with the document itself.
+ */
+export function validateSchema(schema) {
+  if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+    return [{ key: null, message: "Schema must be a JSON object" }];
+  }
+  const errors = [];
+  if (typeof schema.title !== "string" || !schema.title.trim()) {
+    errors.push({ key: null, message: "Schema needs a title" });
+  }
+  if (!Array.isArray(schema.fields)) {
+    return [...errors, { key: null, message: "Schema needs a fields array" }];
+  }
+
+  checkFieldDefinitions(schema.fields, errors);
+  return errors;
+}
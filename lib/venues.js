@@ -0,0 +1,108 @@
+// Venue lifecycle: create, clone, rename and delete. Per-venue metadata that
+// is not template data (where a venue was cloned from, which fields still need
+// review, which brand group it inherits from) lives in
+// data/venue-meta/<venue>.json so venue JSON stays schema-clean.
+
+import fs from "fs-extra";
+import {
+  draftFile,
+  loadAllSchemas,
+  loadVenueMeta,
+  loadVenueOverrides,
+  saveVenueMeta,
+  venueFile,
+  venueMetaFile
+} from "./data.js";
+import { HttpError } from "./errors.js";
+import { revisionDir, saveVenueRevision, snapshotVenue } from "./revisions.js";
+
+/**
+ * Keys of fields flagged `venueSpecific` in any schema (phone, address, ...).
+ */
+export async function venueSpecificKeys() {
+  const keys = new Set();
+  for (const schema of Object.values(await loadAllSchemas())) {
+    for (const field of schema.fields || []) {
+      if (field.venueSpecific) keys.add(field.key);
+    }
+  }
+  return [...keys];
+}
+
+/**
+ * Create a venue, empty or as a copy of `cloneFrom` (its overrides and brand
+ * group). Cloned venue-specific values are listed in meta.pendingReview until
+ * someone edits or confirms them.
+ */
+export async function createVenue(venueKey, { cloneFrom } = {}) {
+  const data = cloneFrom ? await loadVenueOverrides(cloneFrom) : {};
+  const { group = null } = cloneFrom ? await loadVenueMeta(cloneFrom) : {};
+  const pendingReview = cloneFrom
+    ? (await venueSpecificKeys()).filter(key => data[key] !== undefined && data[key] !== "")
+    : [];
+  await saveVenueRevision(venueKey, data, { note: cloneFrom ? `Cloned from ${cloneFrom}` : "Created" });
+  const meta = { createdAt: new Date().toISOString(), clonedFrom: cloneFrom || null, pendingReview };
+  if (group) meta.group = group;
+  await saveVenueMeta(venueKey, meta);
+  return meta;
+}
+
+/**
+ * Move a venue's file, history, draft and metadata to a new key. 409 when
+ * anything already lives under the new key (a deleted venue keeps its
+ * history); the venue file moves last and a failed move is rolled back.
+ */
+export async function renameVenue(fromKey, toKey) {
+  const paths = [revisionDir, draftFile, venueMetaFile, venueFile].map(path => [path(fromKey), path(toKey)]);
+  for (const [, to] of paths) {
+    if (await fs.pathExists(to)) {
+      throw new HttpError(409, `Venue ${toKey} already exists or has history from a deleted venue`);
+    }
+  }
+  const moved = [];
+  try {
+    for (const [from, to] of paths) {
+      if (!await fs.pathExists(from)) continue;
+      await fs.move(from, to);
+      moved.push([from, to]);
+    }
+  } catch (e) {
+    for (const [from, to] of moved.reverse()) await fs.move(to, from);
+    throw e;
+  }
+}
+
+/**
+ * Delete a venue and any draft. Its history is kept, ending with a snapshot
+ * of the deleted (published) data, so re-creating the key and restoring
+ * brings it back.
+ */
+export async function deleteVenue(venueKey) {
+  await snapshotVenue(venueKey, await loadVenueOverrides(venueKey), "Venue deleted");
+  await fs.remove(venueFile(venueKey));
+  await fs.remove(draftFile(venueKey));
+  await fs.remove(venueMetaFile(venueKey));
+}
+
+/**
+ * Drop keys from a venue's pending-review list, either because they were
+ * confirmed explicitly or because a save changed their value.
+ */
+export async function markReviewed(venueKey, keys) {
+  const meta = await loadVenueMeta(venueKey);
+  if (!meta.pendingReview || !meta.pendingReview.length) return meta;
+  meta.pendingReview = meta.pendingReview.filter(key => !keys.includes(key));
+  await saveVenueMeta(venueKey, meta);
+  return meta;
+}
+
+/**
+ * Put a venue in a brand group, or take it out of its group with null.
+ */
+export async function setVenueGroup(venueKey, group) {
+  const meta = await loadVenueMeta(venueKey);
+  if (group) meta.group = group;
+  else delete meta.group;
+  await saveVenueMeta(venueKey, meta);
+  return meta;
+}
@@ -4,6 +4,7 @@
  * 
  * This script automates the entire build and packaging process:
  * 1. Validates the current environment and dependencies
+ *    and lints the email templates against schemas and venues
  * 2. Builds the frontend with proper configuration
  * 3. Copies all necessary files to a deployment folder
  * 4. Creates a Linux-compatible zip package
@@ -19,6 +20,7 @@ import { execSync } from 'child_process';
 import archiver from 'archiver';
 import chalk from 'chalk';
 import semver from 'semver';
+import { lintTemplates } from '../lib/lint.js';
 
 // Setup __dirname equivalent for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -35,10 +37,16 @@ const CONFIG = {
   frontendDir: path.join(ROOT_DIR, 'frontend'),
   dataDir: path.join(ROOT_DIR, 'data'),
   publicDir: path.join(ROOT_DIR, 'public'),
+  libDir: path.join(ROOT_DIR, 'lib'),
+  // Files under data/ written at runtime on the server; never ship a local copy
+  dataRuntimeEntries: ['users.json', '.auth-secret', 'revisions', 'drafts', 'audit.jsonl', 'publish-history.jsonl', 'mail-log.jsonl'],
   // Files that **must** exist at the repository root. `app.js` is generated /
   // copied into the deployment package later in the build, so it should **not**
   // be validated here.
   serverFiles: ['server.js', 'package.json'],
+  // Scripts operators run on the server; the first login can only come from
+  // manage-users (npm run users), so it ships with the app
+  serverScripts: ['scripts/manage-users.js'],
   deploymentGuides: ['DEPLOY_README.md', 'PLESK_SETUP_GUIDE.md', 'QUICK_FIX_500_ERROR.md'],
   testOnly: process.env.TEST_ONLY === 'true',
   packageName: 'lonestar_email_builder',
@@ -67,8 +75,9 @@ async function main() {
   try {
     log.section('Starting Build & Package Process');
     
-    // 1. Validate environment
+    // 1. Validate environment and templates
     await validateEnvironment();
+    await lintEmailTemplates();
     
     // 2. Clean previous builds
     await cleanPreviousBuilds();
@@ -128,7 +137,7 @@ async function validateEnvironment() {
   log.success(`Node.js version: ${nodeVersion}`);
   
   // Check if required directories exist
-  const requiredDirs = [CONFIG.frontendDir, CONFIG.dataDir, CONFIG.publicDir];
+  const requiredDirs = [CONFIG.frontendDir, CONFIG.dataDir, CONFIG.publicDir, CONFIG.libDir];
   for (const dir of requiredDirs) {
     if (!await fs.pathExists(dir)) {
       throw new Error(`Required directory not found: ${dir}`);
@@ -161,6 +170,24 @@ async function validateEnvironment() {
   log.success('Frontend package.json found');
 }
 
+/**
+ * Refuse to package templates that reference undeclared or missing variables
+ */
+async function lintEmailTemplates() {
+  log.section('Linting Email Templates');
+  
+  const result = await lintTemplates();
+  for (const issue of result.issues) {
+    const where = [issue.template, issue.venue, issue.key].filter(Boolean).join(' / ');
+    (issue.level === 'error' ? log.error : log.warn)(`${where}: ${issue.message}`);
+  }
+  
+  if (!result.ok) {
+    throw new Error(`Template lint found ${result.errors} error(s); run \`npm run lint:templates\` for details`);
+  }
+  log.success(`Templates linted (${result.warnings} warning(s))`);
+}
+
 /**
  * Clean previous builds
  */
@@ -268,8 +295,19 @@ async function prepareDeploymentPackage() {
     log.info(`Copied server.js as app.js (fallback)`);
   }
   
-  // Copy data directory
-  await fs.copy(CONFIG.dataDir, path.join(PACKAGE_DIR, 'data'));
+  // Copy server modules imported by app.js
+  await fs.copy(CONFIG.libDir, path.join(PACKAGE_DIR, 'lib'));
+  log.info('Copied: lib directory');
+  
+  for (const script of CONFIG.serverScripts) {
+    await fs.copy(path.join(ROOT_DIR, script), path.join(PACKAGE_DIR, script));
+    log.info(`Copied: ${script}`);
+  }
+  
+  // Copy data directory (minus runtime files such as logins and history)
+  await fs.copy(CONFIG.dataDir, path.join(PACKAGE_DIR, 'data'), {
+    filter: src => !CONFIG.dataRuntimeEntries.includes(path.relative(CONFIG.dataDir, src).split(path.sep)[0])
+  });
   log.info('Copied: data directory');
   
   // Copy public directory
@@ -343,9 +381,33 @@ PORT=3001
 NODE_ENV=production
 HOST=0.0.0.0
 
-# Asset URLs for production (replace with your actual domain)
+# Public base URL for email images (replace with your actual domain). Venue
+# data stores images as /assets/... paths; rendering rewrites them under this
+# URL. Overrides "assetsUrl" for NODE_ENV in data/environments.json.
 ASSETS_URL=https://yourdomain.com/app/assets
 
+# Editor authentication
+# Secret for login tokens and signed /render links (a random one is generated
+# into data/.auth-secret when unset). Create users with: npm run users -- add <name> --role admin
+AUTH_SECRET=
+# Comma-separated origins allowed to call the API cross-origin (empty = same origin only)
+CORS_ORIGINS=
+# Set to true to let anyone open /render without a login or signed link
+RENDER_PUBLIC=false
+# Set to true to require another user's approval before a venue draft is published
+REQUIRE_DRAFT_APPROVAL=false
+
+# "Send test" emails (disabled while SMTP_HOST or the allowlist is empty).
+# SMTP_SECURE=true for TLS from the start (usually port 465). The allowlist is
+# comma-separated addresses or @domain entries.
+SMTP_HOST=
+SMTP_PORT=587
+SMTP_SECURE=false
+SMTP_USER=
+SMTP_PASS=
+MAIL_FROM=
+TEST_EMAIL_ALLOWLIST=
+
 # Logging configuration
 LOG_LEVEL=error
 
@@ -376,6 +438,8 @@ async function validatePackageStructure() {
     '.env.example',
     'data',
     'public',
+    'lib',
+    ...CONFIG.serverScripts,
     'frontend/dist',
     'frontend/dist/index.html',
     'frontend/dist/assets'
@@ -406,6 +470,16 @@ async function testBuild() {
   });
   log.success('Production dependencies installed');
   
+  // The server scripts must run with production dependencies only
+  for (const script of CONFIG.serverScripts) {
+    log.info(`Verifying ${script}...`);
+    try {
+      execSync(`node ${script} list`, { cwd: PACKAGE_DIR, stdio: 'pipe' });
+    } catch (error) {
+      throw new Error(`${script} does not run in the package: ${String(error.stderr).trim()}`);
+    }
+  }
+  
   // Verify app.js exists and has required content
   const appJsPath = path.join(PACKAGE_DIR, 'app.js');
   log.info('Verifying app.js...');
@@ -464,6 +538,8 @@ async function testBuild() {
   // Verify data files
   log.info('Verifying data files...');
   const dataFiles = [
+    'data/brand',
+    'data/partials',
     'data/schemas',
     'data/templates',
     'data/venues'
@@ -627,15 +703,21 @@ Set **Document Root** to **\`httpdocs/app\`**.
 |----------|---------|---------|
 | \`NODE_ENV\` | \`production\` | Framework optimization |
 | \`PORT\` | \`3001\` | Only used in Classic mode. Change if 3001 already occupied. |
-| \`ASSETS_URL\` | \`https://yourdomain.com/app/assets\` | Absolute URL for email images. |
+| \`ASSETS_URL\` | \`https://yourdomain.com/app/assets\` | Public base URL that \`/assets/...\` image paths render under. |
+| \`AUTH_SECRET\` | generated | Signs login tokens and /render links. |
+| \`CORS_ORIGINS\` | (empty) | Extra origins allowed to call the API. |
+| \`RENDER_PUBLIC\` | \`false\` | \`true\` makes /render open without login. |
 
 ## 4. Testing the Deployment
 
 After starting the application, test these URLs:
 
 - \`/health\` - Should return \`{"status":"ok"}\`
-- \`/api/venues\` - Should return a JSON array
-- \`/\` - Should load the React editor UI
+- \`/api/venues\` - Should return 401 until you sign in
+- \`/\` - Should load the React editor UI (sign-in screen)
+
+Create the first editor login on the server with
+\`npm run users -- add <username> --role admin\`.
 
 ## 5. Troubleshooting
 
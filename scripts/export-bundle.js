@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * Lonestar Email Builder - Release Bundle Export
+ *
+ * Renders every venue × template (or a subset) into a ZIP with one folder per
+ * venue and a manifest.json of content hashes and placeholders used, ready to
+ * paste into the booking system. With --previous, compares against an earlier
+ * bundle and lists the emails that changed, so only those need re-pasting.
+ *
+ * Usage: node scripts/export-bundle.js [--venue a,b] [--template a,b]
+ *          [--locale en,zh] [--text] [--out file.zip] [--previous old.zip]
+ *
+ * --previous accepts the earlier bundle's ZIP or its manifest.json.
+ */
+
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+import { buildBundle, bundleFileName, compareManifests, readManifest, writeBundleZip } from '../lib/bundle.js';
+
+function option(name) {
+  const index = process.argv.indexOf(name);
+  if (index < 0) return undefined;
+  const value = process.argv[index + 1];
+  if (!value || value.startsWith('--')) throw new Error(`${name} needs a value`);
+  return value;
+}
+
+async function main() {
+  const previousFile = option('--previous');
+  const previous = previousFile ? readManifest(await fs.readFile(previousFile)) : null;
+
+  const bundle = await buildBundle({
+    venues: option('--venue'),
+    templates: option('--template'),
+    locales: option('--locale'),
+    text: process.argv.includes('--text')
+  });
+  const { manifest } = bundle;
+  if (previous) manifest.changes = compareManifests(previous, manifest);
+
+  const out = path.resolve(option('--out') || bundleFileName(manifest));
+  await fs.ensureDir(path.dirname(out));
+  await writeBundleZip(bundle, fs.createWriteStream(out));
+
+  for (const { venue, reason } of manifest.skipped) console.log(chalk.yellow(`Skipped ${venue}: ${reason}`));
+  if (manifest.changes) {
+    const { added, changed, removed, unchanged } = manifest.changes;
+    for (const id of added) console.log(chalk.green(`  added    ${id}`));
+    for (const id of changed) console.log(chalk.cyan(`  changed  ${id}`));
+    for (const id of removed) console.log(chalk.red(`  removed  ${id}`));
+    console.log(`${added.length + changed.length} email(s) to paste, ${removed.length} removed, ${unchanged.length} unchanged since ${previous.createdAt || previousFile}`);
+  }
+  console.log(chalk.green(`Wrote ${manifest.emails.length} email(s) to ${out}`));
+}
+
+main().catch(error => {
+  console.error(chalk.red(error.message));
+  process.exit(1);
+});
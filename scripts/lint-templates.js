@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Lonestar Email Builder - Template Linter
+ *
+ * Cross-checks every template in data/templates against the schemas and venues:
+ * - variables a template references that no schema declares
+ * - schema fields that no template uses
+ * - venues with no value for a variable a template references
+ * - venue images that are missing, or not the width their schema field expects
+ *
+ * Usage: node scripts/lint-templates.js [--json]
+ * Exits with code 1 when any error is found (warnings alone exit 0).
+ */
+
+import chalk from 'chalk';
+import { lintTemplates } from '../lib/lint.js';
+
+function formatIssue(issue) {
+  const where = [issue.template, issue.venue && `venue ${issue.venue}`, issue.line && `line ${issue.line}`]
+    .filter(Boolean)
+    .join(', ');
+  const colour = issue.level === 'error' ? chalk.red : chalk.yellow;
+  return `${colour(`[${issue.level.toUpperCase()}]`)} ${where ? `${where}: ` : ''}${issue.message} ${chalk.gray(`(${issue.code})`)}`;
+}
+
+async function main() {
+  const result = await lintTemplates();
+
+  if (process.argv.includes('--json')) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    result.issues.forEach(issue => console.log(formatIssue(issue)));
+    const summary = `${result.errors} error(s), ${result.warnings} warning(s)`;
+    console.log(result.ok ? chalk.green(`Templates OK – ${summary}`) : chalk.red(`Template lint failed – ${summary}`));
+  }
+
+  process.exit(result.ok ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error('Lint failed:', error);
+  process.exit(1);
+});
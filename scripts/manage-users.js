@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * Lonestar Email Builder - User Management
+ *
+ * Manages the editor logins stored in data/users.json.
+ *
+ * Usage:
+ *   node scripts/manage-users.js list
+ *   node scripts/manage-users.js add <username> --role admin|venue-manager [--venues Dunedin,Queenstown]
+ *   node scripts/manage-users.js passwd <username>
+ *   node scripts/manage-users.js assign <username> --venues Dunedin,Queenstown
+ *   node scripts/manage-users.js remove <username>
+ *
+ * Passwords are prompted for, or read from the USER_PASSWORD environment
+ * variable for non-interactive use.
+ */
+
+import readline from 'readline';
+import chalk from 'chalk';
+import { ROLES, hashPassword, loadUsers, saveUsers } from '../lib/auth.js';
+
+function option(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+function parseVenues(value) {
+  return (value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function promptPassword(question) {
+  if (process.env.USER_PASSWORD) return Promise.resolve(process.env.USER_PASSWORD);
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+  // Hide what is typed after the prompt
+  rl._writeToOutput = text => { if (text.includes(question)) rl.output.write(text); };
+  return new Promise(resolve => rl.question(question, answer => {
+    rl.close();
+    process.stdout.write('\n');
+    resolve(answer);
+  }));
+}
+
+async function readNewPassword() {
+  const password = await promptPassword('Password: ');
+  if (password.length < 10) throw new Error('Password must be at least 10 characters');
+  return password;
+}
+
+function requireUser(users, username) {
+  const user = users.find(u => u.username === username);
+  if (!user) throw new Error(`No such user: ${username}`);
+  return user;
+}
+
+async function main() {
+  const [command, username, ...args] = process.argv.slice(2);
+  const users = await loadUsers();
+
+  switch (command) {
+    case 'list':
+      if (!users.length) console.log('No users.');
+      for (const user of users) {
+        const venues = user.role === 'admin' ? 'all venues' : (user.venues || []).join(', ') || 'no venues';
+        console.log(`${chalk.bold(user.username)}  ${user.role}  (${venues})`);
+      }
+      return;
+
+    case 'add': {
+      if (!username) throw new Error('Usage: add <username> --role <role> [--venues a,b]');
+      if (users.some(u => u.username === username)) throw new Error(`User ${username} already exists`);
+      const role = option(args, 'role');
+      if (!ROLES.includes(role)) throw new Error(`--role must be one of: ${ROLES.join(', ')}`);
+      const passwordHash = await hashPassword(await readNewPassword());
+      users.push({ username, passwordHash, role, venues: parseVenues(option(args, 'venues')) });
+      await saveUsers(users);
+      console.log(chalk.green(`Added ${role} ${username}`));
+      return;
+    }
+
+    case 'passwd': {
+      const user = requireUser(users, username);
+      user.passwordHash = await hashPassword(await readNewPassword());
+      await saveUsers(users);
+      console.log(chalk.green(`Password updated for ${username}`));
+      return;
+    }
+
+    case 'assign': {
+      const user = requireUser(users, username);
+      user.venues = parseVenues(option(args, 'venues'));
+      await saveUsers(users);
+      console.log(chalk.green(`${username} now edits: ${user.venues.join(', ') || 'no venues'}`));
+      return;
+    }
+
+    case 'remove':
+      requireUser(users, username);
+      await saveUsers(users.filter(u => u.username !== username));
+      console.log(chalk.green(`Removed ${username}`));
+      return;
+
+    default:
+      console.log('Commands: list | add <username> --role <role> [--venues a,b] | passwd <username> | assign <username> --venues a,b | remove <username>');
+      process.exitCode = command ? 1 : 0;
+  }
+}
+
+main().catch(error => {
+  console.error(chalk.red(error.message));
+  process.exit(1);
+});
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+/**
+ * Lonestar Email Builder - Asset URL Migration
+ *
+ * Rewrites absolute localhost asset URLs in venue data
+ * (http://localhost:3001/assets/images/footer.jpg) to the relative form
+ * (/assets/images/footer.jpg) that rendering resolves against ASSETS_URL,
+ * wherever they appear: list items, translations and schedule entries
+ * included. Venues, their drafts, the brand defaults and group values are all
+ * migrated. Each changed venue is saved as a new revision; every change is
+ * recorded in the audit log.
+ *
+ * Usage: node scripts/migrate-asset-urls.js [--dry-run]
+ */
+
+import chalk from 'chalk';
+import {
+  listGroups,
+  listVenues,
+  loadBrandDefaults,
+  loadGroupDefaults,
+  loadVenueOverrides,
+  saveBrandDefaults,
+  saveGroupDefaults
+} from '../lib/data.js';
+import { toAssetPath } from '../lib/assets.js';
+import { loadDraft, saveDraft } from '../lib/drafts.js';
+import { saveVenueRevision } from '../lib/revisions.js';
+import { diffFields } from '../lib/diff.js';
+import { recordAudit } from '../lib/audit.js';
+
+const ACTOR = 'migrate-asset-urls';
+const NOTE = 'Asset URLs made relative';
+
+// `value` with every localhost asset URL in it made relative, at any depth
+function relativeUrls(value) {
+  if (Array.isArray(value)) return value.map(relativeUrls);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, relativeUrls(item)]));
+  }
+  return toAssetPath(value) || value;
+}
+
+function show(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Migrate one set of values: print what changes and, unless dry-running, save
+ * it with `save(after)` and audit it as `action` on `target`. Returns whether
+ * anything changed.
+ */
+async function migrate(label, before, { dryRun, save, action, target }) {
+  const after = relativeUrls(before);
+  const changes = diffFields(before, after);
+  if (!changes.length) return false;
+
+  console.log(chalk.bold(label));
+  for (const change of changes) console.log(`  ${change.key}: ${chalk.gray(show(change.before))} -> ${show(change.after)}`);
+  if (dryRun) return true;
+
+  await save(after);
+  await recordAudit({ actor: ACTOR, action, target, changes, note: NOTE });
+  return true;
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  let changed = 0;
+
+  changed += await migrate('Brand defaults', await loadBrandDefaults(), {
+    dryRun, save: saveBrandDefaults, action: 'brand.update', target: { type: 'brand' }
+  });
+  for (const group of await listGroups()) {
+    changed += await migrate(`Group ${group}`, await loadGroupDefaults(group), {
+      dryRun, save: values => saveGroupDefaults(group, values), action: 'brand.update', target: { type: 'brand', group }
+    });
+  }
+
+  for (const venueKey of await listVenues()) {
+    const target = { type: 'venue', venue: venueKey };
+    changed += await migrate(venueKey, await loadVenueOverrides(venueKey), {
+      dryRun, save: values => saveVenueRevision(venueKey, values, { note: NOTE }), action: 'venue.update', target
+    });
+    const draft = await loadDraft(venueKey);
+    if (draft) {
+      changed += await migrate(`${venueKey} (draft)`, draft.values, {
+        dryRun, save: values => saveDraft(venueKey, values, ACTOR), action: 'venue.draft', target
+      });
+    }
+  }
+
+  if (!changed) console.log(chalk.green('No localhost asset URLs found.'));
+  else if (dryRun) console.log(chalk.yellow(`${changed} venue(s) or brand layer(s) would change (dry run, nothing saved).`));
+  else console.log(chalk.green(`Migrated ${changed} venue(s) or brand layer(s).`));
+}
+
+main().catch(error => {
+  console.error(chalk.red(error.message));
+  process.exit(1);
+});
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * Lonestar Email Builder - Publish
+ *
+ * Renders venues' emails and hands them to the publisher configured for each
+ * venue in data/publishers.json (an HTTP webhook or a drop folder), retrying
+ * failed deliveries. Deliveries are recorded in data/publish-history.jsonl
+ * and the audit log. Exits 1 when any email failed.
+ *
+ * Usage: node scripts/publish.js --venue a,b | --all [--template a,b]
+ *          [--locale en,zh] [--dry-run]
+ *
+ * --all publishes every venue that has a publisher configured.
+ */
+
+import chalk from 'chalk';
+import { recordAudit } from '../lib/audit.js';
+import { requireVenue } from '../lib/data.js';
+import { assertKey } from '../lib/keys.js';
+import { loadPublishConfig, publishVenue } from '../lib/publish.js';
+
+function option(name) {
+  const index = process.argv.indexOf(name);
+  if (index < 0) return undefined;
+  const value = process.argv[index + 1];
+  if (!value || value.startsWith('--')) throw new Error(`${name} needs a value`);
+  return value;
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  let venues;
+  if (process.argv.includes('--all')) {
+    venues = Object.keys((await loadPublishConfig()).venues);
+  } else if (option('--venue')) {
+    venues = option('--venue').split(',').map(v => v.trim()).filter(Boolean);
+    for (const venue of venues) await requireVenue(assertKey(venue, 'venue'));
+  } else {
+    throw new Error('Pass --venue a,b or --all');
+  }
+
+  let failed = 0;
+  for (const venue of venues) {
+    const result = await publishVenue(venue, { templates: option('--template'), locales: option('--locale'), dryRun, actor: 'publish' });
+    console.log(chalk.bold(`${venue} → ${result.publisher} (${result.adapter})`));
+    for (const r of result.results) {
+      const id = `${r.template}/${r.locale}`;
+      if (r.status === 'dry-run') console.log(`  ${chalk.gray('would send')} ${id} → ${r.destination}`);
+      else if (r.status === 'published') console.log(`  ${chalk.green('published')}  ${id} → ${r.destination} (${r.detail}, ${r.attempts} attempt(s))`);
+      else console.log(`  ${chalk.red('failed')}     ${id} → ${r.destination}: ${r.error} (${r.attempts} attempt(s))`);
+      for (const warning of r.warnings) console.log(chalk.yellow(`    ${warning}`));
+    }
+    if (dryRun) continue;
+    const published = result.results.filter(r => r.status === 'published').length;
+    failed += result.results.length - published;
+    await recordAudit({
+      actor: 'publish',
+      action: 'venue.publish',
+      target: { type: 'venue', venue },
+      note: `${published} of ${result.results.length} email(s) published via ${result.publisher}`
+    });
+  }
+  if (dryRun) console.log(chalk.gray('Dry run: nothing was sent.'));
+  else if (failed) throw new Error(`${failed} email(s) failed to publish`);
+}
+
+main().catch(error => {
+  console.error(chalk.red(error.message));
+  process.exit(1);
+});
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+/**
+ * Lonestar Email Builder - SMTP Sink
+ *
+ * A local SMTP server for trying "Send test" without a real mail account:
+ * accepts every message (and any AUTH credentials) and writes it to
+ * smtp-sink/<time>-<n>.eml, which most mail clients open. Point the editor at
+ * it with SMTP_HOST=localhost SMTP_PORT=2525. --reject addr,addr answers RCPT
+ * for those addresses with 550 to see failed deliveries.
+ *
+ * Usage: node scripts/smtp-sink.js [--port 2525] [--out smtp-sink] [--reject a@b.c]
+ */
+
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import net from 'net';
+import path from 'path';
+
+function option(name, fallback) {
+  const index = process.argv.indexOf(name);
+  if (index < 0) return fallback;
+  const value = process.argv[index + 1];
+  if (!value || value.startsWith('--')) throw new Error(`${name} needs a value`);
+  return value;
+}
+
+// Address inside "MAIL FROM:<a@b>" / "RCPT TO:<a@b>"
+function address(line) {
+  return (/<([^>]*)>/.exec(line)?.[1] || line.split(':').slice(1).join(':')).trim();
+}
+
+async function main() {
+  const port = Number(option('--port', 2525));
+  const out = path.resolve(option('--out', 'smtp-sink'));
+  const rejected = option('--reject', '').split(',').map(a => a.trim().toLowerCase()).filter(Boolean);
+  let count = 0;
+  await fs.ensureDir(out);
+
+  const server = net.createServer(socket => {
+    const send = line => socket.write(line + '\r\n');
+    let buffer = '';
+    let mode = 'command'; // or 'data', 'auth'
+    let authLines = 0; // credential lines still expected after AUTH
+    let message = null;
+    let data = [];
+
+    function reset() {
+      message = { from: '', to: [] };
+      data = [];
+    }
+
+    function finishData() {
+      const file = path.join(out, `${new Date().toISOString().replace(/[:.]/g, '-')}-${++count}.eml`);
+      fs.writeFileSync(file, data.join('\r\n') + '\r\n');
+      const subject = data.find(l => /^subject:/i.test(l))?.slice(8).trim() || '(no subject)';
+      console.log(chalk.green(`${message.from} → ${message.to.join(', ')}`) + ` "${subject}" → ${path.relative(process.cwd(), file)}`);
+      send(`250 OK queued as ${count}`);
+      reset();
+    }
+
+    function command(line) {
+      const verb = line.split(' ')[0].toUpperCase();
+      if (mode === 'auth') {
+        // any credentials will do
+        if (--authLines > 0) return send('334 UGFzc3dvcmQ6');
+        mode = 'command';
+        return send('235 Authentication successful');
+      }
+      switch (verb) {
+        case 'EHLO':
+          return send('250-localhost\r\n250-8BITMIME\r\n250-AUTH PLAIN LOGIN\r\n250 SMTPUTF8');
+        case 'HELO':
+          return send('250 localhost');
+        case 'AUTH': {
+          // PLAIN: one blob, on this line or the next; LOGIN: username, then password
+          const [, mechanism = '', initial] = line.split(' ');
+          authLines = (mechanism.toUpperCase() === 'LOGIN' ? 2 : 1) - (initial ? 1 : 0);
+          if (!authLines) return send('235 Authentication successful');
+          mode = 'auth';
+          return send(authLines === 2 ? '334 VXNlcm5hbWU6' : mechanism.toUpperCase() === 'LOGIN' ? '334 UGFzc3dvcmQ6' : '334 ');
+        }
+        case 'MAIL':
+          message.from = address(line);
+          return send('250 OK');
+        case 'RCPT': {
+          const to = address(line);
+          if (rejected.includes(to.toLowerCase())) {
+            console.log(chalk.yellow(`Rejecting ${to}`));
+            return send('550 Mailbox unavailable');
+          }
+          message.to.push(to);
+          return send('250 OK');
+        }
+        case 'DATA':
+          if (!message.to.length) return send('503 No valid recipients');
+          mode = 'data';
+          return send('354 End data with <CR><LF>.<CR><LF>');
+        case 'RSET':
+          reset();
+          return send('250 OK');
+        case 'NOOP':
+          return send('250 OK');
+        case 'QUIT':
+          send('221 Bye');
+          return socket.end();
+        default:
+          return send('502 Command not implemented');
+      }
+    }
+
+    reset();
+    send('220 localhost smtp-sink');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (mode !== 'data') {
+          command(line);
+        } else if (line === '.') {
+          mode = 'command';
+          finishData();
+        } else {
+          data.push(line.startsWith('..') ? line.slice(1) : line);
+        }
+      }
+    });
+    socket.on('error', error => console.error(chalk.red(error.message)));
+  });
+
+  server.listen(port, () => console.log(`SMTP sink listening on localhost:${port}, writing to ${out}`));
+}
+
+main().catch(error => {
+  console.error(chalk.red(error.message));
+  process.exit(1);
+});
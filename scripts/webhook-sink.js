@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+/**
+ * Lonestar Email Builder - Webhook Sink
+ *
+ * A local stand-in for the booking system, for trying the "http" publisher:
+ * accepts the JSON the publisher POSTs (or PUTs), checks the HTML against its
+ * sha256 and writes each email to webhook-sink/<venue>/<name>.html.
+ * --fail N answers the first N requests with --status (503 by default) to
+ * exercise retries.
+ *
+ * Usage: node scripts/webhook-sink.js [--port 4010] [--out webhook-sink]
+ *          [--fail N] [--status 503]
+ */
+
+import chalk from 'chalk';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import http from 'http';
+import path from 'path';
+
+function option(name, fallback) {
+  const index = process.argv.indexOf(name);
+  if (index < 0) return fallback;
+  const value = process.argv[index + 1];
+  if (!value || value.startsWith('--')) throw new Error(`${name} needs a value`);
+  return value;
+}
+
+function reply(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function main() {
+  const port = Number(option('--port', 4010));
+  const out = path.resolve(option('--out', 'webhook-sink'));
+  let failures = Number(option('--fail', 0));
+  const failStatus = Number(option('--status', 503));
+  let received = 0;
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      if (!['POST', 'PUT'].includes(req.method)) return reply(res, 405, { error: 'POST or PUT only' });
+      const email = JSON.parse(await readBody(req));
+      const id = `${email.venue}/${email.template}/${email.locale}`;
+      if (failures > 0) {
+        failures--;
+        console.log(chalk.yellow(`${req.method} ${req.url} ${id}: answering ${failStatus} (${failures} failure(s) left)`));
+        return reply(res, failStatus, { error: 'Simulated failure' });
+      }
+      if (typeof email.html !== 'string' || !/^[\w-]+(\.[\w-]+)?$/.test(`${email.name}`) || !/^[\w-]+$/.test(`${email.venue}`)) {
+        return reply(res, 400, { error: 'Expected venue, name and html' });
+      }
+      const sha256 = crypto.createHash('sha256').update(email.html).digest('hex');
+      if (sha256 !== email.sha256) return reply(res, 400, { error: 'sha256 does not match the HTML' });
+
+      const file = path.join(out, email.venue, `${email.name}.html`);
+      await fs.outputFile(file, email.html);
+      received++;
+      console.log(chalk.green(`${req.method} ${req.url} ${id}`) + ` ${Buffer.byteLength(email.html)} bytes, target ${JSON.stringify(email.target)} → ${path.relative(process.cwd(), file)}`);
+      reply(res, 200, { ok: true, received });
+    } catch (error) {
+      console.error(chalk.red(error.message));
+      reply(res, 400, { error: error.message });
+    }
+  });
+
+  server.listen(port, () => console.log(`Webhook sink listening on http://localhost:${port}, writing to ${out}`));
+}
+
+main().catch(error => {
+  console.error(chalk.red(error.message));
+  process.exit(1);
+});
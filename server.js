@@ -1,112 +1,747 @@
 import express from "express";
 import fs from "fs-extra";
 import path from "path";
-import Handlebars from "handlebars";
-import juice from "juice";
 import cors from "cors";
 import { fileURLToPath } from "url";
+import {
+  loadTemplate,
+  loadVenue,
+  loadVenueMeta,
+  loadVenueOverrides,
+  listGroups,
+  listVenues,
+  listPartials,
+  listTemplates,
+  loadBrandDefaults,
+  loadGroupDefaults,
+  loadInheritedLayers,
+  layersTimezone,
+  localizeValues,
+  loadPartial,
+  loadPartials,
+  loadSchema,
+  loadAllSchemas,
+  mergeLayers,
+  requireGroup,
+  requirePartial,
+  requireTemplate,
+  requireVenue,
+  saveBrandDefaults,
+  saveGroupDefaults,
+  savePartial,
+  saveSchema,
+  saveTemplate,
+  stripInherited,
+  venueExists
+} from "./lib/data.js";
+import { HttpError, sendError } from "./lib/errors.js";
+import { assertKey } from "./lib/keys.js";
+import { sanitizeVenue, validateSchema, validateVenue } from "./lib/validation.js";
+import { lintTemplates, templatePlaceholders } from "./lib/lint.js";
+import { assertFormat, renderEmail, templateErrors, trialRender } from "./lib/render.js";
+import { htmlToText } from "./lib/text.js";
+import { applySchedule, resolveInstant } from "./lib/schedule.js";
+import { checkCompatibility } from "./lib/compat.js";
+import {
+  MAX_IMAGE_BYTES,
+  assertImageName,
+  checkAssetUrls,
+  deleteImage,
+  listImages,
+  saveImage
+} from "./lib/assets.js";
+import { checkAccessibility } from "./lib/a11y.js";
+import { buildBundle, bundleFileName, compareManifests, writeBundleZip } from "./lib/bundle.js";
+import { assertLocale, loadLocales, translationLocales } from "./lib/locales.js";
+import { assertTestRecipients, mailStatus, readMailLog, sendTestEmail } from "./lib/mail.js";
+import {
+  checkPublishConfig,
+  loadPublishConfig,
+  publishVenue,
+  readPublishHistory,
+  renamePublishTarget,
+  venuePublisher
+} from "./lib/publish.js";
+import { listRevisions, loadRevision } from "./lib/revisions.js";
+import { diffFields } from "./lib/diff.js";
+import { approvalRequired, approveDraft, discardDraft, draftStatus, publishDraft, saveDraft } from "./lib/drafts.js";
+import { upgradeVenue } from "./lib/upgrade.js";
+import { readAudit, recordAudit } from "./lib/audit.js";
+import { createVenue, deleteVenue, markReviewed, renameVenue, setVenueGroup } from "./lib/venues.js";
+import {
+  assertVenueAccess,
+  authenticate,
+  canEditVenue,
+  loadUsers,
+  login,
+  removeVenueAssignments,
+  renameVenueAssignments,
+  requireAuth,
+  requireRole,
+  signRender,
+  verifyRenderSignature
+} from "./lib/auth.js";
+import {
+  applySampleBooking,
+  loadPlaceholderRegistry,
+  loadSampleProfiles,
+  resolveSampleBooking
+} from "./lib/placeholders.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 app.use(express.json({ limit: "4mb" }));
-app.use(cors());
+
+// Cross-origin access only for origins listed in CORS_ORIGINS (comma-separated);
+// the editor itself is served from the same origin.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "").split(",").map(o => o.trim()).filter(Boolean);
+app.use(cors({ origin: CORS_ORIGINS.length ? CORS_ORIGINS : false }));
 
 // Serve static assets (logos, headers, etc.)
 app.use('/assets', express.static(path.join(__dirname, 'public')));
 
-const DATA_DIR = path.join(__dirname, "data");
 const FRONTEND_DIST = path.join(__dirname, "frontend", "dist");
 
-async function loadTemplate(templateKey) {
-  const file = path.join(DATA_DIR, "templates", `${templateKey}.html.hbs`);
-  return fs.readFile(file, "utf8");
-}
+app.use(["/api", "/render"], authenticate);
 
-async function loadVenue(venueKey) {
-  const file = path.join(DATA_DIR, "venues", `${venueKey}.json`);
-  const raw = await fs.readFile(file, "utf8");
-  return JSON.parse(raw);
-}
+// Every route parameter that names a file is validated here, once: 400 for a
+// malformed key, 404 for an unknown venue or template. Venue routes also
+// check the logged-in user is assigned to the venue.
+app.param("id", async (req, _res, next, id) => {
+  try {
+    await requireVenue(assertKey(id, "venue"));
+    assertVenueAccess(req.user, id);
+    next();
+  } catch (e) {
+    next(e);
+  }
+});
 
-async function saveVenue(venueKey, payload) {
-  const file = path.join(DATA_DIR, "venues", `${venueKey}.json`);
-  await fs.writeJson(file, payload, { spaces: 2 });
-}
+app.param("templateKey", async (req, _res, next, templateKey) => {
+  try {
+    await requireTemplate(assertKey(templateKey, "template"));
+    next();
+  } catch (e) {
+    next(e);
+  }
+});
 
-async function listVenues() {
-  const dir = path.join(DATA_DIR, "venues");
-  const files = await fs.readdir(dir);
-  return files.filter(f => f.endsWith(".json")).map(f => path.basename(f, ".json"));
-}
+app.param("partial", async (req, _res, next, partial) => {
+  try {
+    await requirePartial(assertKey(partial, "partial"));
+    next();
+  } catch (e) {
+    next(e);
+  }
+});
 
-async function listTemplates() {
-  const dir = path.join(DATA_DIR, "templates");
-  const files = await fs.readdir(dir);
-  return files.filter(f => f.endsWith(".html.hbs")).map(f => path.basename(f, ".html.hbs"));
-}
+app.param("image", (req, _res, next, image) => {
+  try {
+    assertImageName(image);
+    next();
+  } catch (e) {
+    next(e);
+  }
+});
 
-async function loadSchema(templateKey) {
-  const file = path.join(DATA_DIR, "schemas", `${templateKey}.json`);
-  if (await fs.pathExists(file)) {
-    const raw = await fs.readFile(file, "utf8");
-    return JSON.parse(raw);
+app.param("group", (req, _res, next, group) => {
+  try {
+    assertKey(group, "group");
+    next();
+  } catch (e) {
+    next(e);
   }
-  return null;
-}
+});
 
-function inlineCss(html) {
-  return juice(html, { applyStyleTags: true, removeStyleTags: false });
-}
+app.param("rev", (req, _res, next, rev) => {
+  try {
+    assertKey(rev, "revision");
+    next();
+  } catch (e) {
+    next(e);
+  }
+});
 
-// Public render endpoint (pasteable HTML)
+// Render endpoint (pasteable HTML, or the plain-text part with ?format=text),
+// in the default locale or ?locale=, of the published venue or, with
+// ?draft=true, its draft (the published version when it has none).
+// Scheduled values apply as they are now, or at ?at= for previewing a date
+// (venue time YYYY-MM-DDTHH:mm, or an ISO time with an offset).
+// Open to logged-in users assigned to the venue, to signed links from
+// /api/render-links (?expires=&sig=), or to everyone when RENDER_PUBLIC=true
+// (published versions only). 403 for other logged-in users, 401 otherwise.
 app.get("/render/:templateKey", async (req, res) => {
   try {
     const { templateKey } = req.params;
     const venue = req.query.venue;
     if (!venue) return res.status(400).send("Missing ?venue param");
-    const [tplSrc, vars] = await Promise.all([
-      loadTemplate(templateKey),
-      loadVenue(venue)
-    ]);
-    const tpl = Handlebars.compile(tplSrc, { noEscape: true });
-    const html = tpl(vars);
-    const inlined = inlineCss(html);
-    res.set("Content-Type", "text/html; charset=utf-8").send(inlined);
+    const format = assertFormat(req.query.format);
+    const locale = await assertLocale(req.query.locale);
+    const draft = req.query.draft === "true";
+    const at = req.query.at || undefined;
+    await requireVenue(assertKey(venue, "venue"));
+    const allowed = (process.env.RENDER_PUBLIC === "true" && !draft)
+      || (req.user && canEditVenue(req.user, venue))
+      || await verifyRenderSignature(templateKey, venue, req.query.expires, req.query.sig, { draft });
+    if (!allowed && req.user) return res.status(403).send(`You are not assigned to venue ${venue}`);
+    if (!allowed) return res.status(401).send("Login or a signed render link is required");
+    const { pendingReview = [] } = await loadVenueMeta(venue);
+    if (pendingReview.length) {
+      return res.status(409).send(`Venue ${venue} has cloned fields awaiting review: ${pendingReview.join(", ")}`);
+    }
+    const { html, placeholders } = await renderEmail(templateKey, await loadVenue(venue, { locale, draft, at }), { locale });
+    for (const issue of [...placeholders.issues, ...checkAssetUrls(html)]) {
+      console.warn(`[render ${templateKey}/${venue}] ${issue.message}`);
+    }
+    res.set("Content-Language", locale);
+    // Venue values are printed unescaped: never let the page run as this origin
+    res.set("Content-Security-Policy", "sandbox");
+    if (format === "text") {
+      return res.set("Content-Type", "text/plain; charset=utf-8").send(htmlToText(html));
+    }
+    res.set("Content-Type", "text/html; charset=utf-8").send(html);
   } catch (e) {
-    res.status(500).send(String(e));
+    sendError(res, e, { text: true });
   }
 });
 
 // ----- API for Editor -----
 
-// Venues list
-app.get("/api/venues", async (_req, res) => {
+// Log in with a local user: { username, password } -> { token, user }
+app.post("/api/auth/login", async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    res.json(await login(username, password));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Everything below requires a bearer token
+app.use("/api", requireAuth);
+
+app.get("/api/auth/me", (req, res) => {
+  res.json({ user: req.user });
+});
+
+// Signed /render link for exporting without a login: { templateKey, venue, expiresIn?, draft? }
+app.post("/api/render-links", async (req, res) => {
+  try {
+    const { templateKey, venue, expiresIn } = req.body || {};
+    const draft = req.body?.draft === true;
+    await requireTemplate(assertKey(templateKey, "template"));
+    await requireVenue(assertKey(venue, "venue"));
+    assertVenueAccess(req.user, venue);
+    const { expires, sig } = await signRender(templateKey, venue, expiresIn, { draft });
+    const query = new URLSearchParams({ venue, ...(draft && { draft: "true" }), expires: String(expires), sig });
+    res.json({ url: `/render/${templateKey}?${query}`, expires });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Release bundle: a ZIP of every venue × template the user can export, or the
+// `venues`, `templates` and `locales` asked for, with a manifest of content
+// hashes and placeholders (see lib/bundle.js); `text: true` adds plain text.
+// Pass an earlier bundle's manifest as `previous` to get manifest.changes
+// ({ added, changed, removed, unchanged }).
+app.post("/api/exports", async (req, res) => {
+  try {
+    const { venues, templates, locales, text, previous } = req.body || {};
+    if (previous !== undefined && (!previous || typeof previous !== "object" || !Array.isArray(previous.emails))) {
+      throw new HttpError(400, "previous must be a bundle manifest");
+    }
+    const bundle = await buildBundle({ venues, templates, locales, text: text === true, canAccess: v => canEditVenue(req.user, v) });
+    if (previous) bundle.manifest.changes = compareManifests(previous, bundle.manifest);
+    res.set("Content-Type", "application/zip");
+    res.set("Content-Disposition", `attachment; filename="${bundleFileName(bundle.manifest)}"`);
+    await writeBundleZip(bundle, res);
+  } catch (e) {
+    if (res.headersSent) return res.destroy(e);
+    sendError(res, e);
+  }
+});
+
+// Venues list (venue managers only see the venues assigned to them)
+app.get("/api/venues", async (req, res) => {
   try {
-    res.json({ venues: await listVenues() });
+    const venues = (await listVenues()).filter(v => canEditVenue(req.user, v));
+    res.json({ venues });
   } catch (e) {
-    res.status(500).json({ error: String(e) });
+    sendError(res, e);
   }
 });
 
-// Get venue JSON
+// Get venue JSON as rendered: brand defaults and group values merged with
+// the venue's own overrides, translated for ?locale= when given. ?draft=true
+// gives the draft's values instead of the published ones; scheduled values
+// apply as of ?at= (venue time or ISO), by default now.
 app.get("/api/venues/:id", async (req, res) => {
   try {
-    const json = await loadVenue(req.params.id);
+    const locale = await assertLocale(req.query.locale);
+    const json = await loadVenue(req.params.id, { locale, draft: req.query.draft === "true", at: req.query.at || undefined });
     res.json(json);
   } catch (e) {
-    res.status(404).json({ error: "Venue not found" });
+    sendError(res, e);
+  }
+});
+
+// A venue's values split by layer, as the editor edits them:
+// { group, overrides, inherited, inheritedFrom, translated, draft, approvalRequired }.
+// `overrides` is the venue's draft, or its published file when it has none
+// (translations included); `inherited` is what the venue gets from the brand
+// and group layers in ?locale=, with their scheduled values as of ?at= (by
+// default now); inheritedFrom maps each of its keys to "brand" or "group", and
+// translated lists the inherited keys whose value is a translation. `draft` is
+// the draft's status (see draftStatus) or null.
+app.get("/api/venues/:id/layers", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const locale = await assertLocale(req.query.locale);
+    const layers = await loadInheritedLayers(id);
+    const overrides = await loadVenueOverrides(id, { draft: true });
+    const timezone = layersTimezone([...layers, { values: overrides }]);
+    const at = req.query.at || Date.now();
+    const { values: inherited, sources: inheritedFrom, translated } = mergeLayers(layers, locale, { at, timezone });
+    const { group = null } = await loadVenueMeta(id);
+    res.json({
+      group,
+      overrides,
+      inherited,
+      inheritedFrom,
+      translated,
+      draft: await draftStatus(id),
+      approvalRequired: approvalRequired()
+    });
+  } catch (e) {
+    sendError(res, e);
   }
 });
 
-// Save venue JSON
+// Move a venue into a brand group, or out of it: { group } (null for none)
+app.put("/api/venues/:id/group", requireRole("admin"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const group = req.body?.group || null;
+    if (group) await requireGroup(assertKey(group, "group"));
+    const { group: previous = null } = await loadVenueMeta(id);
+    await setVenueGroup(id, group);
+    await recordAudit({
+      actor: req.user.username,
+      action: "venue.group",
+      target: { type: "venue", venue: id },
+      changes: diffFields({ group: previous }, { group })
+    });
+    res.json({ ok: true, group });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Create a venue: { key, cloneFrom? }. Cloned venue-specific fields (phone,
+// address, links...) are flagged for review and block /render until reviewed.
+app.post("/api/venues", requireRole("admin"), async (req, res) => {
+  try {
+    const { key, cloneFrom } = req.body || {};
+    if (await venueExists(assertKey(key, "venue"))) throw new HttpError(409, `Venue ${key} already exists`);
+    if (cloneFrom) await requireVenue(assertKey(cloneFrom, "venue"));
+    const meta = await createVenue(key, { cloneFrom });
+    await recordAudit({
+      actor: req.user.username,
+      action: "venue.create",
+      target: { type: "venue", venue: key },
+      changes: diffFields({}, await loadVenueOverrides(key)),
+      note: cloneFrom ? `Cloned from ${cloneFrom}` : undefined
+    });
+    res.status(201).json({ ok: true, key, ...meta });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Rename a venue: { newKey }. History and metadata move with it.
+app.post("/api/venues/:id/rename", requireRole("admin"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { newKey } = req.body || {};
+    if (await venueExists(assertKey(newKey, "venue"))) throw new HttpError(409, `Venue ${newKey} already exists`);
+    await renameVenue(id, newKey);
+    await renameVenueAssignments(id, newKey);
+    await renamePublishTarget(id, newKey);
+    await recordAudit({
+      actor: req.user.username,
+      action: "venue.rename",
+      target: { type: "venue", venue: newKey, previousVenue: id }
+    });
+    res.json({ ok: true, key: newKey });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Delete a venue (its revision history is kept, its user assignments are not)
+app.delete("/api/venues/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const before = await loadVenueOverrides(req.params.id);
+    await deleteVenue(req.params.id);
+    await removeVenueAssignments(req.params.id);
+    await recordAudit({
+      actor: req.user.username,
+      action: "venue.delete",
+      target: { type: "venue", venue: req.params.id },
+      changes: diffFields(before, {})
+    });
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Cloned fields still awaiting review
+app.get("/api/venues/:id/review", async (req, res) => {
+  try {
+    const { pendingReview = [], clonedFrom = null } = await loadVenueMeta(req.params.id);
+    res.json({ pendingReview, clonedFrom });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Confirm cloned fields as correct without changing them: { keys }
+app.post("/api/venues/:id/review", async (req, res) => {
+  try {
+    const keys = Array.isArray(req.body?.keys) ? req.body.keys : [];
+    const { pendingReview = [] } = await markReviewed(req.params.id, keys);
+    await recordAudit({
+      actor: req.user.username,
+      action: "venue.review",
+      target: { type: "venue", venue: req.params.id },
+      note: `Confirmed cloned values: ${keys.join(", ")}`
+    });
+    res.json({ ok: true, pendingReview });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Save a venue's own values as its draft (rejected with 422 + per-field errors
+// if, merged with the brand layers, they fail schema validation); the
+// published version is untouched until the draft is published.
+// JSON in an older shape is upgraded first (lib/upgrade.js). Disallowed markup in html fields is stripped first; the keys it was stripped
+// from come back as `sanitized`. Values equal to the inherited ones are not
+// stored, so the venue keeps following the brand layer for them. ?note= is
+// recorded in the audit log. Responds with the draft's status (null when the
+// values match the published ones).
 app.put("/api/venues/:id", async (req, res) => {
   try {
-    await saveVenue(req.params.id, req.body);
+    const { id } = req.params;
+    const schemas = await loadAllSchemas();
+    const upgraded = upgradeVenue(req.body);
+    const payload = sanitizeVenue(upgraded, schemas);
+    const { values: inherited } = mergeLayers(await loadInheritedLayers(id));
+    const merged = payload && typeof payload === "object" && !Array.isArray(payload) ? { ...inherited, ...payload } : payload;
+    const errors = validateVenue(merged, schemas, { locales: await translationLocales() });
+    if (errors.length) {
+      return res.status(422).json({ error: "Venue failed schema validation", errors });
+    }
+    const overrides = stripInherited(payload, inherited);
+    const before = await loadVenueOverrides(id, { draft: true });
+    const draft = await saveDraft(id, overrides, req.user.username);
+    const changes = diffFields(before, overrides);
+    await recordAudit({
+      actor: req.user.username,
+      action: "venue.draft",
+      target: { type: "venue", venue: id },
+      changes,
+      note: req.query.note
+    });
+    const sanitized = diffFields(upgraded, payload).map(c => c.key);
+    res.json({ ok: true, draft, sanitized });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// What the editor's schedule calendar needs besides the venue's own schedule:
+// { timezone, inherited } with `timezone` the one the venue gets when it sets
+// none and `inherited` the schedule entries of the brand and group layers,
+// each with its `layer` (and `group`)
+app.get("/api/venues/:id/schedule", async (req, res) => {
+  try {
+    const layers = await loadInheritedLayers(req.params.id);
+    const inherited = layers.flatMap(({ layer, group, values }) =>
+      (Array.isArray(values.schedule) ? values.schedule : []).map(entry => ({ ...entry, layer, ...(group ? { group } : {}) })));
+    res.json({ timezone: layersTimezone(layers), inherited });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// The venue's draft: its status (see draftStatus, null without a draft) and
+// whether publishing needs approval
+app.get("/api/venues/:id/draft", async (req, res) => {
+  try {
+    res.json({ draft: await draftStatus(req.params.id), approvalRequired: approvalRequired() });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Throw the draft away; the published version stays as it is
+app.delete("/api/venues/:id/draft", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const draft = await discardDraft(id);
+    await recordAudit({
+      actor: req.user.username,
+      action: "venue.draft.discard",
+      target: { type: "venue", venue: id },
+      // what was thrown away: from the draft's values back to the published ones
+      changes: diffFields(draft.values, await loadVenueOverrides(id))
+    });
     res.json({ ok: true });
   } catch (e) {
-    res.status(500).json({ error: String(e) });
+    sendError(res, e);
+  }
+});
+
+// Approve the draft for publishing (by a user who did not edit it)
+app.post("/api/venues/:id/draft/approve", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const draft = await approveDraft(id, req.user.username);
+    await recordAudit({
+      actor: req.user.username,
+      action: "venue.draft.approve",
+      target: { type: "venue", venue: id },
+      changes: draft.changes
+    });
+    res.json({ ok: true, draft });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Publish the draft: it becomes the version /render serves, recorded as a
+// revision ({ note? }). Checked against the schemas again, as they may have
+// changed since the draft was saved; 409 while approval is required and missing.
+app.post("/api/venues/:id/draft/publish", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { values: inherited } = mergeLayers(await loadInheritedLayers(id));
+    const errors = validateVenue({ ...inherited, ...await loadVenueOverrides(id, { draft: true }) }, await loadAllSchemas(), { locales: await translationLocales() });
+    if (errors.length) {
+      return res.status(422).json({ error: "Draft failed schema validation", errors });
+    }
+    const { draft, revision, before } = await publishDraft(id, { note: req.body?.note });
+    await recordAudit({
+      actor: req.user.username,
+      action: "venue.update",
+      target: { type: "venue", venue: id },
+      changes: diffFields(before, draft.values),
+      note: [
+        `Published draft by ${draft.authors.join(", ")}`,
+        draft.approval && `approved by ${draft.approval.by}`,
+        req.body?.note
+      ].filter(Boolean).join("; ")
+    });
+    res.json({ ok: true, revision: revision.id });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// The venue's publisher (see lib/publish.js) and its latest publish history:
+// { publisher, adapter, problem?, history }. publisher is null when the venue
+// has none configured.
+app.get("/api/venues/:id/publish", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const history = await readPublishHistory({ venue: id, limit: Math.min(Number(req.query.limit) || 50, 500) });
+    try {
+      const target = await venuePublisher(id);
+      res.json({ publisher: target?.publisher || null, adapter: target?.adapter || null, history });
+    } catch (e) {
+      if (!(e instanceof HttpError)) throw e;
+      res.json({ publisher: null, adapter: null, problem: e.message, history });
+    }
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Publish the venue's emails to the booking system:
+// { templates?, locales?, dryRun? } -> { results: [...] } (see publishVenue).
+// Responds 502 when every email failed.
+app.post("/api/venues/:id/publish", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { templates, locales, dryRun } = req.body || {};
+    const result = await publishVenue(id, { templates, locales, dryRun: dryRun === true, actor: req.user.username });
+    if (!result.dryRun) {
+      const published = result.results.filter(r => r.status === "published").length;
+      await recordAudit({
+        actor: req.user.username,
+        action: "venue.publish",
+        target: { type: "venue", venue: id },
+        note: `${published} of ${result.results.length} email(s) published via ${result.publisher}`
+      });
+    }
+    const failed = !result.dryRun && result.results.length > 0 && result.results.every(r => r.status === "failed");
+    res.status(failed ? 502 : 200).json(result);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Revision history for a venue (newest first)
+app.get("/api/venues/:id/revisions", async (req, res) => {
+  try {
+    res.json({ revisions: await listRevisions(req.params.id) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Field-by-field diff between two revisions; "current" means the published
+// venue file and "draft" its draft (the published file when there is none)
+app.get("/api/venues/:id/diff", async (req, res) => {
+  try {
+    const { from, to = "current" } = req.query;
+    if (!from) return res.status(400).json({ error: "Missing ?from revision" });
+    const load = async rev => {
+      if (rev === "current" || rev === "draft") return loadVenueOverrides(req.params.id, { draft: rev === "draft" });
+      return (await loadRevision(req.params.id, rev))?.data;
+    };
+    const [before, after] = await Promise.all([load(from), load(to)]);
+    if (!before || !after) return res.status(404).json({ error: "Revision not found" });
+    res.json({ from, to, changes: diffFields(before, after) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// One revision, including its data
+app.get("/api/venues/:id/revisions/:rev", async (req, res) => {
+  try {
+    const revision = await loadRevision(req.params.id, req.params.rev);
+    if (!revision) return res.status(404).json({ error: "Revision not found" });
+    res.json(revision);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Roll back to an old revision: its values become the venue's draft, to be
+// published like any other edit
+app.post("/api/venues/:id/revisions/:rev/restore", async (req, res) => {
+  try {
+    const revision = await loadRevision(req.params.id, req.params.rev);
+    if (!revision) return res.status(404).json({ error: "Revision not found" });
+    const { values: inherited } = mergeLayers(await loadInheritedLayers(req.params.id));
+    const errors = validateVenue({ ...inherited, ...revision.data }, await loadAllSchemas(), { locales: await translationLocales() });
+    if (errors.length) {
+      return res.status(422).json({ error: "Revision no longer passes schema validation", errors });
+    }
+    const note = req.body?.note || `Restored revision ${revision.id}`;
+    const before = await loadVenueOverrides(req.params.id, { draft: true });
+    const overrides = stripInherited(revision.data, inherited);
+    const draft = await saveDraft(req.params.id, overrides, req.user.username);
+    await recordAudit({
+      actor: req.user.username,
+      action: "venue.restore",
+      target: { type: "venue", venue: req.params.id },
+      changes: diffFields(before, overrides),
+      note
+    });
+    res.json({ ok: true, draft });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Brand layers: { defaults, groups: { group: values } }
+app.get("/api/brand", async (_req, res) => {
+  try {
+    const groups = {};
+    for (const group of await listGroups()) groups[group] = await loadGroupDefaults(group);
+    res.json({ defaults: await loadBrandDefaults(), groups });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Save brand defaults, or a group's values (creating the group), admin only.
+// Layers hold only some fields, so nothing is required; every value is checked
+// against its schema field like a venue value.
+async function saveBrandLayer(req, res, group) {
+  const schemas = await loadAllSchemas();
+  const payload = sanitizeVenue(upgradeVenue(req.body), schemas);
+  const errors = validateVenue(payload, schemas, { partial: true, locales: await translationLocales() });
+  if (errors.length) {
+    return res.status(422).json({ error: "Brand values failed schema validation", errors });
+  }
+  const before = group ? await loadGroupDefaults(group) : await loadBrandDefaults();
+  if (group) await saveGroupDefaults(group, payload);
+  else await saveBrandDefaults(payload);
+  await recordAudit({
+    actor: req.user.username,
+    action: "brand.update",
+    target: { type: "brand", group: group || undefined },
+    changes: diffFields(before, payload)
+  });
+  res.json({ ok: true });
+}
+
+app.put("/api/brand/defaults", requireRole("admin"), async (req, res) => {
+  try {
+    await saveBrandLayer(req, res, null);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.put("/api/brand/groups/:group", requireRole("admin"), async (req, res) => {
+  try {
+    await saveBrandLayer(req, res, req.params.group);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Audit log, newest first. Filters: ?venue= &user= &from= &to= (ISO dates) &limit=
+// Venue managers only see entries for their own venues.
+app.get("/api/audit", async (req, res) => {
+  try {
+    const { venue, user, from, to } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 200, 1000);
+    const filters = { venue, user, from, to: to && to.length === 10 ? `${to}T23:59:59.999Z` : to, limit };
+    if (req.user.role !== "admin") filters.venues = req.user.venues;
+    res.json({ entries: await readAudit(filters) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Publishers and venue targets from data/publishers.json, with any problems
+app.get("/api/publishers", requireRole("admin"), async (_req, res) => {
+  try {
+    const config = await loadPublishConfig();
+    const publishers = Object.fromEntries(Object.entries(config.publishers).map(([name, settings]) => [name, { adapter: settings?.adapter }]));
+    res.json({ publishers, venues: config.venues, problems: checkPublishConfig(config) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Locales emails can be rendered in: { default, locales: { code: label } }
+app.get("/api/locales", async (_req, res) => {
+  try {
+    res.json(await loadLocales());
+  } catch (e) {
+    sendError(res, e);
   }
 });
 
@@ -115,7 +750,7 @@ app.get("/api/templates", async (_req, res) => {
   try {
     res.json({ templates: await listTemplates() });
   } catch (e) {
-    res.status(500).json({ error: String(e) });
+    sendError(res, e);
   }
 });
 
@@ -125,26 +760,327 @@ app.get("/api/schema/:templateKey", async (req, res) => {
     const schema = await loadSchema(req.params.templateKey);
     res.json({ schema });
   } catch (e) {
-    res.status(500).json({ error: String(e) });
+    sendError(res, e);
+  }
+});
+
+// Replace a template's schema (admin only). Rejected with 422 + [{ key, message }]
+// if the document is malformed.
+app.put("/api/schema/:templateKey", requireRole("admin"), async (req, res) => {
+  try {
+    const { templateKey } = req.params;
+    const errors = validateSchema(req.body);
+    if (errors.length) {
+      return res.status(422).json({ error: "Schema is not valid", errors });
+    }
+    const before = await loadSchema(templateKey);
+    await saveSchema(templateKey, req.body);
+    const byKey = schema => Object.fromEntries((schema?.fields || []).map(f => [f.key, f]));
+    await recordAudit({
+      actor: req.user.username,
+      action: "schema.update",
+      target: { type: "schema", template: templateKey },
+      changes: diffFields(byKey(before), byKey(req.body))
+    });
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e);
   }
 });
 
-// Preview compile
+// Handlebars source of a template, for the in-browser code editor (admin only)
+app.get("/api/templates/:templateKey/source", requireRole("admin"), async (req, res) => {
+  try {
+    const { templateKey } = req.params;
+    res.json({ templateKey, source: await loadTemplate(templateKey) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Save template source: { source } (admin only). Rejected with 422 +
+// [{ line, column, message }] if it does not compile, or if rendering it with
+// any venue's values fails (a missing helper, {{#each}} without a list).
+app.put("/api/templates/:templateKey/source", requireRole("admin"), async (req, res) => {
+  try {
+    const { templateKey } = req.params;
+    const { source } = req.body || {};
+    if (typeof source !== "string") return res.status(400).json({ error: "Missing template source" });
+    const errors = templateErrors(source, await loadPartials());
+    if (errors.length) {
+      return res.status(422).json({ error: "Template does not compile", errors });
+    }
+    const renderErrors = await trialRender(templateKey, { source });
+    if (renderErrors.length) {
+      return res.status(422).json({ error: "Template fails to render", errors: renderErrors });
+    }
+    const before = await loadTemplate(templateKey);
+    await saveTemplate(templateKey, source);
+    if (before !== source) {
+      await recordAudit({
+        actor: req.user.username,
+        action: "template.update",
+        target: { type: "template", template: templateKey },
+        changes: [{ key: "source", change: "changed" }]
+      });
+    }
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Shared partials (data/partials) used by the templates, for the code editor (admin only)
+app.get("/api/partials", requireRole("admin"), async (_req, res) => {
+  try {
+    res.json({ partials: await listPartials() });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.get("/api/partials/:partial", requireRole("admin"), async (req, res) => {
+  try {
+    const { partial } = req.params;
+    res.json({ partial, source: await loadPartial(partial) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Save a partial: { source } (admin only). Same compile check as templates,
+// and every template is trial-rendered with it; every template that uses it
+// picks the change up on its next render.
+app.put("/api/partials/:partial", requireRole("admin"), async (req, res) => {
+  try {
+    const { partial } = req.params;
+    const { source } = req.body || {};
+    if (typeof source !== "string") return res.status(400).json({ error: "Missing partial source" });
+    const errors = templateErrors(source, await loadPartials());
+    if (errors.length) {
+      return res.status(422).json({ error: "Partial does not compile", errors });
+    }
+    for (const templateKey of await listTemplates()) {
+      const renderErrors = await trialRender(templateKey, { partials: { [partial]: source } });
+      if (renderErrors.length) {
+        return res.status(422).json({ error: `Partial breaks template ${templateKey}`, errors: renderErrors });
+      }
+    }
+    const before = await loadPartial(partial);
+    await savePartial(partial, source);
+    if (before !== source) {
+      await recordAudit({
+        actor: req.user.username,
+        action: "partial.update",
+        target: { type: "partial", template: `partials/${partial}` },
+        changes: [{ key: "source", change: "changed" }]
+      });
+    }
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Image library (public/images, served as /assets/images/...), with each
+// image's type and pixel size
+app.get("/api/assets", async (_req, res) => {
+  try {
+    res.json({ images: await listImages(), maxBytes: MAX_IMAGE_BYTES });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Upload an image: the file is the raw request body (Content-Type image/*) and
+// ?name= its original file name. Stored under a generated name, returned with
+// its URL and dimensions.
+app.post("/api/assets", express.raw({ type: "image/*", limit: MAX_IMAGE_BYTES }), async (req, res) => {
+  try {
+    const image = await saveImage(req.body, req.query.name);
+    await recordAudit({
+      actor: req.user.username,
+      action: "asset.upload",
+      target: { type: "asset", asset: image.name },
+      note: req.query.name ? `Uploaded as ${req.query.name}` : undefined
+    });
+    res.status(201).json(image);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Delete an image (admin only); 409 + { usage } (see imageUsage) while a venue, venue draft or brand layer uses it
+app.delete("/api/assets/:image", requireRole("admin"), async (req, res) => {
+  try {
+    await deleteImage(req.params.image);
+    await recordAudit({
+      actor: req.user.username,
+      action: "asset.delete",
+      target: { type: "asset", asset: req.params.image }
+    });
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Booking-system placeholder registry, plus the placeholders each template uses
+app.get("/api/placeholders", async (_req, res) => {
+  try {
+    const registry = await loadPlaceholderRegistry();
+    const templates = await templatePlaceholders(registry);
+    const profiles = await loadSampleProfiles();
+    const sampleProfiles = Object.entries(profiles).map(([key, p]) => ({ key, label: p.label || key }));
+    res.json({ placeholders: registry, sampleProfiles, templates });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Cross-check templates, schemas and venues
+app.get("/api/lint", async (_req, res) => {
+  try {
+    res.json(await lintTemplates());
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+/**
+ * Render the email described by a preview request body (see /api/preview),
+ * checking the user may see the venue and use drafts.
+ * Returns { html, placeholders }.
+ */
+async function renderPreview(user, body) {
+  const { templateKey, venueKey, overrides, sample, sampleProfile, revision, templateSource, partials, at = Date.now() } = body || {};
+  const locale = await assertLocale(body?.locale);
+  await requireTemplate(assertKey(templateKey, "template"));
+  await requireVenue(assertKey(venueKey, "venue"));
+  assertVenueAccess(user, venueKey);
+  if (templateSource !== undefined || partials !== undefined) {
+    if (user.role !== "admin") throw new HttpError(403, "Requires the admin role");
+    if (templateSource !== undefined && typeof templateSource !== "string") {
+      throw new HttpError(400, "templateSource must be a string");
+    }
+    const allPartials = await loadPartials();
+    for (const [name, source] of Object.entries(partials || {})) {
+      await requirePartial(assertKey(name, "partial"));
+      if (typeof source !== "string") throw new HttpError(400, `Partial ${name} must be a string`);
+      allPartials[name] = source;
+    }
+    const drafts = [
+      ...(templateSource !== undefined ? [[null, templateSource]] : []),
+      ...Object.entries(partials || {})
+    ];
+    for (const [partial, source] of drafts) {
+      const errors = templateErrors(source, allPartials).map(e => ({ ...e, partial }));
+      if (errors.length) throw new HttpError(422, "Template does not compile", { errors });
+    }
+  }
+  let own;
+  if (revision) {
+    const saved = await loadRevision(venueKey, revision);
+    if (!saved) throw new HttpError(404, "Revision not found");
+    own = saved.data;
+  } else {
+    own = await loadVenueOverrides(venueKey, { draft: true });
+  }
+  const layers = [...await loadInheritedLayers(venueKey), { layer: "venue", values: own }];
+  const timezone = layersTimezone([...layers, { values: overrides || {} }]);
+  const instant = resolveInstant(at, timezone);
+  const base = mergeLayers(layers, locale, { at: instant, timezone }).values;
+  // Unsaved overrides are sanitised the way saving them would be, and
+  // scheduled and localized like the venue's own values
+  const unsaved = localizeValues(applySchedule(overrides || {}, instant, timezone), locale);
+  const vars = sanitizeVenue({ ...base, ...unsaved }, await loadAllSchemas());
+  const { html, placeholders } = await renderEmail(templateKey, vars, { source: templateSource, partials, locale });
+  if (!sample && !sampleProfile) return { html, placeholders };
+  const [registry, profiles] = await Promise.all([loadPlaceholderRegistry(), loadSampleProfiles()]);
+  if (sampleProfile && !profiles[sampleProfile]) {
+    throw new HttpError(400, `Unknown sample profile "${sampleProfile}"`);
+  }
+  const booking = resolveSampleBooking(registry, profiles, { profile: sampleProfile, values: sample });
+  return { html: applySampleBooking(html, booking), placeholders };
+}
+
+// Preview compile, of the venue's draft (its published values when it has
+// none) with unsaved `overrides` on top. Pass `sample` (token -> value) and/or
+// `sampleProfile` to substitute a sample booking for the [PLACEHOLDERS] after
+// rendering, and `revision` to render a past revision of the venue instead.
+// Admins may pass unsaved `templateSource` and `partials` ({ name: source })
+// to preview template and partial edits. `locale` renders a translation, and
+// `at` (venue time or ISO) applies the scheduled values of that time.
+// `format: "text"` returns { text } (the plain-text part) instead of { html }.
 app.post("/api/preview", async (req, res) => {
   try {
-    const { templateKey, venueKey, overrides } = req.body;
-    const [tplSrc, base] = await Promise.all([
-      loadTemplate(templateKey),
-      loadVenue(venueKey)
-    ]);
-    const vars = { ...base, ...(overrides || {}) };
-    const html = Handlebars.compile(tplSrc, { noEscape: true })(vars);
-    return res.json({ html: inlineCss(html) });
+    const format = assertFormat(req.body?.format);
+    const { html, placeholders } = await renderPreview(req.user, req.body);
+    res.json(format === "text" ? { text: htmlToText(html), placeholders } : { html, placeholders });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Email client compatibility of the rendered output (same body as /api/preview)
+app.post("/api/compat", async (req, res) => {
+  try {
+    const { html } = await renderPreview(req.user, req.body);
+    res.json(checkCompatibility(html));
   } catch (e) {
-    res.status(500).json({ error: String(e) });
+    sendError(res, e);
   }
 });
 
+// Accessibility audit of the rendered output (same body as /api/preview)
+app.post("/api/a11y", async (req, res) => {
+  try {
+    const { html } = await renderPreview(req.user, req.body);
+    res.json(checkAccessibility(html));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Whether test emails can be sent, the allowlist and recent deliveries
+// (venue managers see their own venues')
+app.get("/api/send-test", async (req, res) => {
+  try {
+    const filters = { limit: Math.min(Number(req.query.limit) || 20, 500) };
+    if (req.user.role !== "admin") filters.venues = req.user.venues;
+    res.json({ ...mailStatus(), log: await readMailLog(filters) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Send the rendered output (same body as /api/preview, sample bookings
+// included) as a multipart HTML + text test email to allowlisted
+// `recipients`. Responds with the mail log entry plus `warnings` about image
+// URLs recipients cannot load; 502 when delivery failed.
+app.post("/api/send-test", async (req, res) => {
+  try {
+    const to = assertTestRecipients(req.body?.recipients);
+    const { templateKey, venueKey } = req.body;
+    const locale = await assertLocale(req.body.locale);
+    const { html } = await renderPreview(req.user, req.body);
+    const { default: defaultLocale } = await loadLocales();
+    const subject = `[Test] ${venueKey} ${templateKey}${locale === defaultLocale ? "" : ` (${locale})`}`;
+    const entry = await sendTestEmail(
+      { to, subject, html, text: htmlToText(html) },
+      { actor: req.user.username, venue: venueKey, template: templateKey, locale }
+    );
+    const warnings = checkAssetUrls(html).map(issue => issue.message);
+    res.status(entry.status === "sent" ? 200 : 502).json({ ...entry, warnings });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Errors raised before a route handler runs (param validation, malformed JSON)
+app.use("/api", (err, _req, res, _next) => sendError(res, err));
+app.use("/render", (err, _req, res, _next) => sendError(res, err, { text: true }));
+
 // Serve frontend if built
 app.use(express.static(FRONTEND_DIST));
 app.get("*", async (req, res, next) => {
@@ -157,4 +1093,9 @@ app.get("*", async (req, res, next) => {
 });
 
 const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => console.log(`Email builder on :${PORT}`));
+app.listen(PORT, async () => {
+  console.log(`Email builder on :${PORT}`);
+  if (!(await loadUsers()).length) {
+    console.warn("No editor users yet: run `npm run users -- add <username> --role admin` to create one");
+  }
+});
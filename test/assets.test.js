@@ -0,0 +1,58 @@
+// Image usage (lib/assets.js): an image must count as used while anything
+// could still render it, including a venue's unpublished draft.
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { after, describe, test } from "node:test";
+import { copyData } from "./helpers/data.js";
+
+const { root, dataDir } = copyData();
+process.env.DATA_DIR = dataDir;
+const { imageUsage } = await import("../lib/assets.js");
+
+const IMAGE = "/assets/images/draft-only-1a2b3c4d.png";
+
+function writeJson(file, value) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(value, null, 2));
+}
+
+describe("imageUsage", () => {
+  after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  test("finds an image used only by a venue's draft", async () => {
+    assert.deepEqual(await imageUsage("draft-only-1a2b3c4d.png"), []);
+    const published = JSON.parse(fs.readFileSync(path.join(dataDir, "venues", "Dunedin.json"), "utf8"));
+    writeJson(path.join(dataDir, "drafts", "Dunedin.json"), {
+      values: { ...published, promoImageUrl: IMAGE },
+      savedAt: new Date().toISOString(),
+      savedBy: "tester",
+      authors: ["tester"],
+      approval: null
+    });
+    assert.deepEqual(await imageUsage("draft-only-1a2b3c4d.png"), [{ venue: "Dunedin", draft: true, key: "promoImageUrl" }]);
+  });
+
+  test("reports published and draft uses separately", async () => {
+    const [{ venue, key }] = await imageUsage("draft-only-1a2b3c4d.png");
+    const name = "promo-published-5e6f7a8b.png";
+    const file = path.join(dataDir, "venues", `${venue}.json`);
+    const published = JSON.parse(fs.readFileSync(file, "utf8"));
+    writeJson(file, { ...published, [key]: `/assets/images/${name}` });
+    // The draft still has its own image, so only the published values use this one
+    assert.deepEqual(await imageUsage(name), [{ venue, key }]);
+  });
+
+  test("finds images in brand layers and list items", async () => {
+    const name = "brand-footer-0a0b0c0d.png";
+    writeJson(path.join(dataDir, "brand", "defaults.json"), {
+      footerImage: `/assets/images/${name}`,
+      reminderPromos: [{ image: `/assets/images/${name}` }]
+    });
+    assert.deepEqual(await imageUsage(name), [
+      { layer: "brand", key: "footerImage" },
+      { layer: "brand", key: "reminderPromos.0.image" }
+    ]);
+  });
+});
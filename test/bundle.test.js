@@ -0,0 +1,52 @@
+// compareManifests (lib/bundle.js): which emails changed since an earlier
+// release bundle.
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { compareManifests } from "../lib/bundle.js";
+
+function email(venue, template, html, text) {
+  return {
+    venue, template, locale: "en",
+    html: { path: `${venue}/${template}.html`, sha256: html },
+    ...(text && { text: { path: `${venue}/${template}.txt`, sha256: text } }),
+    placeholders: []
+  };
+}
+
+function manifest(emails, { text = false } = {}) {
+  return {
+    createdAt: "2026-10-01T12:00:00.000Z",
+    filters: { venues: null, templates: null, locales: ["en"], text },
+    emails,
+    skipped: []
+  };
+}
+
+describe("compareManifests", () => {
+  test("sorts emails into added, changed, removed and unchanged", () => {
+    const previous = manifest([email("Dunedin", "confirmation", "a"), email("Dunedin", "cancel", "b"), email("Gone", "cancel", "c")]);
+    const current = manifest([email("Dunedin", "confirmation", "a"), email("Dunedin", "cancel", "B"), email("New", "cancel", "d")]);
+    assert.deepEqual(compareManifests(previous, current), {
+      added: ["New/cancel/en"],
+      changed: ["Dunedin/cancel/en"],
+      removed: ["Gone/cancel/en"],
+      unchanged: ["Dunedin/confirmation/en"]
+    });
+  });
+
+  test("ignores plain text when the earlier bundle has none", () => {
+    const previous = manifest([email("Dunedin", "confirmation", "a"), email("Dunedin", "cancel", "b")]);
+    const current = manifest([email("Dunedin", "confirmation", "a", "t1"), email("Dunedin", "cancel", "B", "t2")], { text: true });
+    const result = compareManifests(previous, current);
+    assert.deepEqual(result.unchanged, ["Dunedin/confirmation/en"]);
+    assert.deepEqual(result.changed, ["Dunedin/cancel/en"]);
+  });
+
+  test("compares plain text when both bundles have it", () => {
+    const previous = manifest([email("Dunedin", "confirmation", "a", "t1")], { text: true });
+    const current = manifest([email("Dunedin", "confirmation", "a", "t2")], { text: true });
+    assert.deepEqual(compareManifests(previous, current).changed, ["Dunedin/confirmation/en"]);
+    assert.deepEqual(compareManifests(previous, manifest([email("Dunedin", "confirmation", "a")])).unchanged, ["Dunedin/confirmation/en"]);
+  });
+});
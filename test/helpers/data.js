@@ -0,0 +1,23 @@
+// Shared set-up for tests that need data/: a throwaway copy of it, without
+// the logins and signing secret, for the server or lib/data.js (DATA_DIR).
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+export const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "..");
+
+/**
+ * Copy data/ into a new temporary directory. Returns { root, dataDir } with
+ * `root` the directory to remove afterwards and `dataDir` the copy inside it.
+ */
+export function copyData() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "email-builder-test-"));
+  const dataDir = path.join(root, "data");
+  fs.cpSync(path.join(ROOT, "data"), dataDir, {
+    recursive: true,
+    filter: source => ![".auth-secret", "users.json"].includes(path.basename(source))
+  });
+  return { root, dataDir };
+}
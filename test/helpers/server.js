@@ -0,0 +1,69 @@
+// Shared set-up for integration tests: server.js in a child process against
+// a copy of data/, with logins made through scripts/manage-users.js.
+//
+// Call it with top-level await rather than from an async before() hook, which
+// Node 16's test runner does not wait for.
+
+import assert from "node:assert/strict";
+import { spawn, spawnSync } from "node:child_process";
+import fs from "node:fs";
+import net from "node:net";
+import request from "supertest";
+import { ROOT, copyData } from "./data.js";
+
+const PASSWORD = "testerpass123";
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on("error", reject);
+  });
+}
+
+/**
+ * Start the server on a free port. `users` are created first
+ * ([{ username, role, venues? }], an admin "tester" by default) and logged in.
+ * Returns { api, tokens, root, dataDir, stop }: a supertest agent for the
+ * server, each user's bearer token by username, the temporary directory and
+ * its data/ copy, and stop() to end the server and remove the directory.
+ */
+export async function startServer({ users = [{ username: "tester", role: "admin" }] } = {}) {
+  const { root, dataDir } = copyData();
+  let server;
+  const stop = () => {
+    server?.kill();
+    fs.rmSync(root, { recursive: true, force: true });
+  };
+  try {
+    const env = { ...process.env, DATA_DIR: dataDir, AUTH_SECRET: "test-secret", PORT: String(await freePort()) };
+    delete env.RENDER_PUBLIC;
+    delete env.REQUIRE_DRAFT_APPROVAL;
+
+    for (const { username, role, venues } of users) {
+      const args = ["scripts/manage-users.js", "add", username, "--role", role, ...(venues ? ["--venues", venues.join(",")] : [])];
+      const result = spawnSync(process.execPath, args, { cwd: ROOT, env: { ...env, USER_PASSWORD: PASSWORD } });
+      assert.equal(result.status, 0, String(result.stderr));
+    }
+
+    server = spawn(process.execPath, ["server.js"], { cwd: ROOT, env, stdio: ["ignore", "pipe", "pipe"] });
+    await new Promise((resolve, reject) => {
+      server.stdout.on("data", chunk => String(chunk).includes("Email builder on") && resolve());
+      server.on("exit", code => reject(new Error(`Server exited with ${code}`)));
+    });
+    const api = request(`http://localhost:${env.PORT}`);
+
+    const tokens = {};
+    for (const { username } of users) {
+      const login = await api.post("/api/auth/login").send({ username, password: PASSWORD });
+      assert.equal(login.status, 200, `login as ${username} answered ${login.status}`);
+      tokens[username] = login.body.token;
+    }
+    return { api, tokens, root, dataDir, stop };
+  } catch (e) {
+    stop();
+    throw e;
+  }
+}
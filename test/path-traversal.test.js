@@ -0,0 +1,180 @@
+// Integration tests for the key allowlist (lib/keys.js) and dataPath: path
+// traversal through route params, query strings and request bodies must be
+// answered with 400 (404 for well-formed keys that do not exist) and must
+// never touch a file outside data/.
+//
+// The server runs as a child process against a copy of data/ (DATA_DIR, see
+// test/helpers/server.js), so the tests neither depend on nor change the
+// working data.
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { after, describe, test } from "node:test";
+import { startServer } from "./helpers/server.js";
+
+// Keys that try to leave data/: plain, URL-encoded once (Express decodes
+// params, so the route sees ../), double-encoded and with a backslash
+const ATTACKS = [
+  "..%2F..%2Fpackage",
+  "..%2F..%2F..%2Fevil",
+  "%2E%2E%2Fvenues%2FDunedin",
+  "%252e%252e%252fpackage",
+  "..%5C..%5Cpackage",
+  "Dunedin%00.json",
+  "."
+];
+// The same as they arrive after decoding, for query strings and bodies
+const RAW_ATTACKS = ["../../package", "../../../evil", "../venues/Dunedin", "..\\..\\package", "/etc/passwd", "Dunedin.json", "", " "];
+
+const { api, tokens, root: tmpRoot, stop } = await startServer();
+const token = tokens.tester;
+
+// Every file under `dir` with its size and mtime
+function listFiles(dir) {
+  const files = {};
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) Object.assign(files, listFiles(full));
+    else {
+      const stat = fs.statSync(full);
+      files[path.relative(tmpRoot, full)] = `${stat.size}:${stat.mtimeMs}`;
+    }
+  }
+  return files;
+}
+
+const snapshot = listFiles(tmpRoot);
+
+function auth(req) {
+  return req.set("Authorization", `Bearer ${token}`);
+}
+
+describe("path traversal", () => {
+  after(stop);
+
+  describe("route params", () => {
+    test("venue :id", async () => {
+      for (const key of ATTACKS) {
+        for (const url of [`/api/venues/${key}`, `/api/venues/${key}/layers`, `/api/venues/${key}/revisions`]) {
+          const res = await auth(api.get(url));
+          assert.ok([400, 404].includes(res.status), `GET ${url} answered ${res.status}`);
+        }
+        const put = await auth(api.put(`/api/venues/${key}`)).send({ venueName: "x" });
+        assert.ok([400, 404].includes(put.status), `PUT /api/venues/${key} answered ${put.status}`);
+        const del = await auth(api.delete(`/api/venues/${key}`));
+        assert.ok([400, 404].includes(del.status), `DELETE /api/venues/${key} answered ${del.status}`);
+      }
+    });
+
+    test("encoded traversal in a param is a 400, not a 404", async () => {
+      assert.equal((await auth(api.get("/api/venues/..%2F..%2Fpackage"))).status, 400);
+      assert.equal((await auth(api.put("/api/venues/..%2F..%2Fevil")).send({})).status, 400);
+      assert.equal((await auth(api.get("/render/..%2F..%2Fpackage?venue=Dunedin"))).status, 400);
+    });
+
+    test(":templateKey", async () => {
+      for (const key of ATTACKS) {
+        for (const url of [`/render/${key}?venue=Dunedin`, `/api/schema/${key}`, `/api/templates/${key}/source`]) {
+          const res = await auth(api.get(url));
+          assert.ok([400, 404].includes(res.status), `GET ${url} answered ${res.status}`);
+        }
+        const source = await auth(api.put(`/api/templates/${key}/source`)).send({ source: "<p>pwned</p>" });
+        assert.ok([400, 404].includes(source.status), `PUT template ${key} answered ${source.status}`);
+        const schema = await auth(api.put(`/api/schema/${key}`)).send({ title: "x", fields: [] });
+        assert.ok([400, 404].includes(schema.status), `PUT schema ${key} answered ${schema.status}`);
+        const partial = await auth(api.put(`/api/partials/${key}`)).send({ source: "pwned" });
+        assert.ok([400, 404].includes(partial.status), `PUT partial ${key} answered ${partial.status}`);
+      }
+    });
+
+    test("revision ids", async () => {
+      for (const rev of ATTACKS) {
+        const get = await auth(api.get(`/api/venues/Dunedin/revisions/${rev}`));
+        assert.ok([400, 404].includes(get.status), `GET revision ${rev} answered ${get.status}`);
+        const restore = await auth(api.post(`/api/venues/Dunedin/revisions/${rev}/restore`));
+        assert.ok([400, 404].includes(restore.status), `restore ${rev} answered ${restore.status}`);
+      }
+      assert.equal((await auth(api.get("/api/venues/Dunedin/revisions/..%2F..%2Fvenues%2FDunedin"))).status, 400);
+      for (const rev of RAW_ATTACKS) {
+        const diff = await auth(api.get("/api/venues/Dunedin/diff").query({ from: rev, to: "current" }));
+        assert.ok([400, 404].includes(diff.status), `diff from ${JSON.stringify(rev)} answered ${diff.status}`);
+      }
+    });
+
+    test("brand group", async () => {
+      const res = await auth(api.put("/api/brand/groups/..%2F..%2Fevil")).send({});
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe("query strings", () => {
+    test("?venue=", async () => {
+      for (const venue of RAW_ATTACKS) {
+        const res = await auth(api.get("/render/confirmation").query({ venue }));
+        assert.ok([400, 404].includes(res.status), `?venue=${JSON.stringify(venue)} answered ${res.status}`);
+        assert.doesNotMatch(res.text, /"name"|root:/, "file contents leaked");
+      }
+      assert.equal((await auth(api.get("/render/confirmation").query({ venue: "../../package" }))).status, 400);
+    });
+  });
+
+  describe("request bodies", () => {
+    test("new venue keys", async () => {
+      for (const key of RAW_ATTACKS) {
+        const create = await auth(api.post("/api/venues")).send({ key });
+        assert.equal(create.status, 400, `create ${JSON.stringify(key)} answered ${create.status}`);
+        // An empty cloneFrom means "start blank", so only real keys are attacks
+        if (key) {
+          const clone = await auth(api.post("/api/venues")).send({ key: "Clone", cloneFrom: key });
+          assert.equal(clone.status, 400, `clone from ${JSON.stringify(key)} answered ${clone.status}`);
+        }
+        const rename = await auth(api.post("/api/venues/Dunedin/rename")).send({ newKey: key });
+        assert.equal(rename.status, 400, `rename to ${JSON.stringify(key)} answered ${rename.status}`);
+        const group = await auth(api.put("/api/venues/Dunedin/group")).send({ group: key || "." });
+        assert.equal(group.status, 400, `group ${JSON.stringify(key)} answered ${group.status}`);
+      }
+    });
+
+    test("preview, render links and exports", async () => {
+      for (const key of RAW_ATTACKS) {
+        const bodies = [
+          { templateKey: key, venueKey: "Dunedin" },
+          { templateKey: "confirmation", venueKey: key },
+          { templateKey: "confirmation", venueKey: "Dunedin", revision: key || "." },
+          { templateKey: "confirmation", venueKey: "Dunedin", partials: { [key || "."]: "pwned" } }
+        ];
+        for (const body of bodies) {
+          const res = await auth(api.post("/api/preview")).send(body);
+          assert.ok([400, 404].includes(res.status), `preview ${JSON.stringify(body)} answered ${res.status}`);
+        }
+        const link = await auth(api.post("/api/render-links")).send({ templateKey: key, venue: "Dunedin" });
+        assert.ok([400, 404].includes(link.status), `render link for ${JSON.stringify(key)} answered ${link.status}`);
+        const bundle = await auth(api.post("/api/exports")).send({ venues: [key] });
+        assert.ok([400, 404].includes(bundle.status), `export of ${JSON.stringify(key)} answered ${bundle.status}`);
+      }
+    });
+  });
+
+  describe("unknown keys", () => {
+    test("are a 404", async () => {
+      assert.equal((await auth(api.get("/api/venues/NoSuchVenue"))).status, 404);
+      assert.equal((await auth(api.put("/api/venues/NoSuchVenue")).send({})).status, 404);
+      assert.equal((await auth(api.get("/render/nosuch").query({ venue: "Dunedin" }))).status, 404);
+      assert.equal((await auth(api.get("/render/confirmation").query({ venue: "NoSuchVenue" }))).status, 404);
+      assert.equal((await auth(api.get("/api/schema/nosuch"))).status, 404);
+      assert.equal((await auth(api.get("/api/venues/Dunedin/revisions/2020-01-01T00-00-00-000Z"))).status, 404);
+    });
+
+    test("errors do not echo internals", async () => {
+      const res = await auth(api.get("/api/venues/..%2F..%2Fpackage"));
+      assert.doesNotMatch(JSON.stringify(res.body), /ENOENT|\/tmp\/|node_modules|at .*\.js/);
+    });
+  });
+
+  test("nothing was written", () => {
+    // after() runs later; every test above only sends rejected requests
+    assert.deepEqual(fs.readdirSync(tmpRoot), ["data"]);
+    assert.deepEqual(listFiles(tmpRoot), snapshot);
+  });
+});
@@ -0,0 +1,39 @@
+// Local and absolute times in lib/schedule.js: impossible dates are refused
+// rather than rolled over into the next month.
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { isLocalTime, localToInstant, resolveInstant } from "../lib/schedule.js";
+
+describe("isLocalTime", () => {
+  test("accepts real dates and times", () => {
+    for (const value of ["2026-12-01", "2026-12-01T09:00", "2026-01-31T23:59", "2028-02-29", "2026-04-30T00:00"]) {
+      assert.equal(isLocalTime(value), true, value);
+    }
+  });
+
+  test("refuses days the month does not have", () => {
+    for (const value of ["2026-02-31", "2026-02-29T10:00", "2100-02-29", "2026-04-31T09:00", "2026-06-31", "2026-01-32", "2026-01-00"]) {
+      assert.equal(isLocalTime(value), false, value);
+    }
+  });
+
+  test("refuses impossible times and other formats", () => {
+    for (const value of ["2026-12-01T24:00", "2026-12-01T09:60", "2026-13-01", "2026-12-1", "1 Dec 2026", ""]) {
+      assert.equal(isLocalTime(value), false, value);
+    }
+  });
+});
+
+describe("resolveInstant", () => {
+  test("reads local times in the timezone and absolute ones as given", () => {
+    assert.equal(resolveInstant("2026-12-01T09:00", "Pacific/Auckland"), localToInstant("2026-12-01T09:00", "Pacific/Auckland"));
+    assert.equal(resolveInstant("2026-12-01T09:00Z", "Pacific/Auckland"), Date.UTC(2026, 11, 1, 9));
+  });
+
+  test("answers 400 Invalid time for impossible dates", () => {
+    for (const at of ["2026-02-31", "2026-02-31T10:00", "2026-02-31T10:00Z", "2026-04-31T10:00:00+12:00"]) {
+      assert.throws(() => resolveInstant(at, "Pacific/Auckland"), { status: 400, message: /^Invalid time/ }, at);
+    }
+  });
+});
@@ -0,0 +1,65 @@
+// Field checks of lib/validation.js: venue values are printed unescaped, so
+// only html fields may carry markup, and that only after sanitizeVenue.
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { sanitizeVenue, validateVenue } from "../lib/validation.js";
+
+const SCHEMAS = {
+  confirmation: {
+    title: "Confirmation",
+    fields: [
+      { key: "signature", label: "Signature", type: "text" },
+      { key: "intro", label: "Intro", type: "textarea" },
+      { key: "message", label: "Message", type: "html" },
+      { key: "menuLink", label: "Menu", type: "url" },
+      { key: "promoImageUrl", label: "Promo image", type: "image" },
+      { key: "tips", label: "Tips", type: "list", itemFields: [{ key: "text", label: "Text", type: "text" }] }
+    ]
+  }
+};
+
+function messages(venue, options) {
+  return validateVenue(venue, SCHEMAS, options).map(e => `${e.key}: ${e.message}`);
+}
+
+describe("text fields", () => {
+  test("refuse markup and double quotes", () => {
+    for (const value of ["<img src=x onerror=alert(1)>", "Bye</p><script>alert(1)</script>", 'Lone Star" onload="alert(1)', "a > b"]) {
+      assert.equal(messages({ signature: value }).length, 1, value);
+      assert.equal(messages({ intro: value }).length, 1, value);
+    }
+  });
+
+  test("are checked in list items, translations and schedules", () => {
+    const bad = "<img src=x onerror=alert(1)>";
+    assert.equal(messages({ tips: [{ text: bad }] }).length, 1);
+    assert.equal(messages({ translations: { zh: { signature: bad } } }, { locales: ["zh"] }).length, 1);
+    assert.equal(messages({ schedule: [{ start: "2026-12-01T00:00", values: { signature: bad } }] }).length, 1);
+  });
+
+  test("accept plain text", () => {
+    assert.deepEqual(messages({ signature: "The Lone Star team & friends", intro: "Kids’ meals – “free” on Mondays\n(5pm onwards)" }), []);
+  });
+});
+
+describe("url and image fields", () => {
+  test("refuse quotes and angle brackets", () => {
+    for (const value of ['https://example.com/" onmouseover="alert(1)', "https://example.com/<script>", "/assets/x.png'onerror='alert(1)", "javascript:alert(1)"]) {
+      assert.equal(messages({ menuLink: value }).length, 1, value);
+      assert.equal(messages({ promoImageUrl: value }).length, 1, value);
+    }
+  });
+
+  test("accept ordinary URLs", () => {
+    assert.deepEqual(messages({ menuLink: "https://lonestar.co.nz/menu?venue=dunedin&x=1", promoImageUrl: "/assets/images/promo.jpg" }), []);
+  });
+});
+
+describe("html fields", () => {
+  test("are sanitised rather than refused", () => {
+    const venue = sanitizeVenue({ message: '<strong>Hi</strong><img src=x onerror="alert(1)">' }, SCHEMAS);
+    assert.equal(venue.message, "<strong>Hi</strong>");
+    assert.deepEqual(messages(venue), []);
+  });
+});
@@ -0,0 +1,54 @@
+// Venue lifecycle through the API: create, rename and delete, and what each
+// does to venue-manager assignments and history.
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { after, describe, test } from "node:test";
+import { startServer } from "./helpers/server.js";
+
+const { api, tokens, dataDir, stop } = await startServer({
+  users: [
+    { username: "tester", role: "admin" },
+    { username: "manager", role: "venue-manager", venues: ["Wanaka", "Dunedin"] }
+  ]
+});
+
+const as = (username, req) => req.set("Authorization", `Bearer ${tokens[username]}`);
+
+function assignments(username) {
+  const { users } = JSON.parse(fs.readFileSync(path.join(dataDir, "users.json"), "utf8"));
+  return users.find(u => u.username === username).venues;
+}
+
+describe("venues", () => {
+  after(stop);
+
+  test("deleting a venue removes its assignments", async () => {
+    assert.equal((await as("tester", api.post("/api/venues")).send({ key: "Wanaka", cloneFrom: "Dunedin" })).status, 201);
+    assert.equal((await as("manager", api.get("/api/venues/Wanaka"))).status, 200);
+
+    assert.equal((await as("tester", api.delete("/api/venues/Wanaka"))).status, 200);
+    assert.deepEqual(assignments("manager"), ["Dunedin"]);
+  });
+
+  test("re-creating a deleted venue's key does not restore its old managers", async () => {
+    assert.equal((await as("tester", api.post("/api/venues")).send({ key: "Wanaka" })).status, 201);
+    assert.equal((await as("manager", api.get("/api/venues/Wanaka"))).status, 403);
+    assert.equal((await as("manager", api.get("/api/venues/Dunedin"))).status, 200);
+  });
+
+  test("renaming a venue keeps its assignments", async () => {
+    assert.equal((await as("tester", api.post("/api/venues/Dunedin/rename")).send({ newKey: "DunedinCentral" })).status, 200);
+    assert.deepEqual(assignments("manager"), ["DunedinCentral"]);
+    assert.equal((await as("manager", api.get("/api/venues/DunedinCentral"))).status, 200);
+  });
+
+  test("renaming onto a deleted venue's history is refused", async () => {
+    assert.equal((await as("tester", api.delete("/api/venues/Wanaka"))).status, 200);
+    const res = await as("tester", api.post("/api/venues/DunedinCentral/rename")).send({ newKey: "Wanaka" });
+    assert.equal(res.status, 409);
+    assert.ok(fs.existsSync(path.join(dataDir, "venues", "DunedinCentral.json")));
+    assert.ok(!fs.existsSync(path.join(dataDir, "venues", "Wanaka.json")));
+  });
+});